@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * SessionEnd hook - cleans up after a Claude Code session.
+ *
+ * Claude Code fires SessionEnd once when a session ends (exit, /clear,
+ * logout, ...), sending { session_id, transcript_path, cwd, reason } via stdin.
+ *
+ * Responsibilities:
+ * 1. Remove the session's entry from the session ID cache written by
+ *    session-start.js (<tmpdir>/ccr-sessions/<claude-pid>.json).
+ * 2. With --remove-override, also delete the session's override
+ *    (~/.claude-code-router/<project-id>/<sessionId>.json) so a model set
+ *    with `ccr-model set --session` does not outlive the session. This runs
+ *    `ccr-model sessions rm`, so the file is locked and snapshotted to
+ *    history like any other change and `ccr-model undo` brings it back.
+ *
+ * Everything is best-effort; the hook never prints anything and always
+ * exits 0. `ccr-model gc` cleans up whatever is missed (crashes, kill -9).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const SESSION_CACHE_DIR = path.join(os.tmpdir(), 'ccr-sessions');
+const CCR_PROJECTS_DIR = path.join(process.env.HOME, '.claude-code-router');
+
+/**
+ * Locate a file shipped next to ccr-model.js: the skill directory when
+ * installed (hooks/ is inside it), skills/ccr-model/ in the source tree.
+ */
+function findSkillFile(name) {
+  const candidates = [
+    path.join(__dirname, '..', name),
+    path.join(__dirname, '..', 'skills', 'ccr-model', name)
+  ];
+  return candidates.find(p => fs.existsSync(p)) || null;
+}
+
+function readHookInput() {
+  try {
+    const input = fs.readFileSync(0, 'utf-8');
+    if (input.trim()) {
+      return JSON.parse(input);
+    }
+  } catch (e) {
+    // stdin not available or not valid JSON
+  }
+  return null;
+}
+
+/**
+ * Remove cache entries of the ending session. The entry is keyed by the
+ * Claude Code PID (our parent), but /clear keeps the process and starts a
+ * new session under the same PID, so only an entry that still names this
+ * session is removed.
+ */
+function removeSessionCache(sessionId) {
+  if (!fs.existsSync(SESSION_CACHE_DIR)) return;
+
+  for (const file of fs.readdirSync(SESSION_CACHE_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    const cachePath = path.join(SESSION_CACHE_DIR, file);
+    try {
+      const data = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+      if (data.session_id === sessionId) fs.unlinkSync(cachePath);
+    } catch (e) {
+      // Unreadable or already gone
+    }
+  }
+}
+
+/**
+ * Delete the session override through `ccr-model sessions rm`. The transcript
+ * lives in ~/.claude/projects/<project-id>/, so its directory is the project
+ * ID; without an override file there is nothing to start ccr-model for.
+ */
+function removeSessionOverride(sessionId, transcriptPath, cwd) {
+  if (!transcriptPath || !/^[\w-]+$/.test(sessionId)) return;
+
+  const projectId = path.basename(path.dirname(transcriptPath));
+  if (!fs.existsSync(path.join(CCR_PROJECTS_DIR, projectId, `${sessionId}.json`))) return;
+
+  const script = findSkillFile('ccr-model.js');
+  if (!script) return;
+  try {
+    require('child_process').execFileSync(process.execPath, [script, 'sessions', 'rm', sessionId], {
+      cwd: cwd && fs.existsSync(cwd) ? cwd : os.homedir(),
+      stdio: 'ignore',
+      timeout: 10000
+    });
+  } catch (e) {
+    // Locked or already gone; `ccr-model gc` catches what is left
+  }
+}
+
+// ============ Main ============
+
+const hookInput = readHookInput();
+
+if (hookInput?.session_id) {
+  removeSessionCache(hookInput.session_id);
+  if (process.argv.includes('--remove-override')) {
+    removeSessionOverride(hookInput.session_id, hookInput.transcript_path, hookInput.cwd);
+  }
+}
@@ -6,10 +6,13 @@
  * Claude Code fires SessionStart once when a session begins,
  * sending { session_id, transcript_path, cwd, ... } via stdin.
  *
- * Two responsibilities:
+ * Three responsibilities:
  * 1. Cache session_id to temp file (keyed by Claude Code PID) so that
  *    skills run via Bash tool can walk the process tree to find it.
- * 2. Output additionalContext JSON to stdout so Claude knows which
+ *    Also record cwd → project ID in the project index.
+ * 2. Apply the current git branch's model override (`ccr-model sync-branch`)
+ *    if the branch changed since the last session.
+ * 3. Output additionalContext JSON to stdout so Claude knows which
  *    CCR model is active at the start of the session.
  *
  * Output format (exit 0 required):
@@ -25,9 +28,23 @@ const os = require('os');
 const SESSION_CACHE_DIR = path.join(os.tmpdir(), 'ccr-sessions');
 const CCR_CONFIG_PATH = path.join(process.env.HOME, '.claude-code-router', 'config.json');
 const CLAUDE_SETTINGS_PATH = path.join(process.env.HOME, '.claude', 'settings.json');
-const CLAUDE_PROJECTS_DIR = path.join(process.env.HOME, '.claude', 'projects');
 const CCR_PROJECTS_DIR = path.join(process.env.HOME, '.claude-code-router');
 
+/**
+ * Locate a file shipped next to ccr-model.js: the skill directory when
+ * installed (hooks/ is inside it), skills/ccr-model/ in the source tree.
+ */
+function findSkillFile(name) {
+  const candidates = [
+    path.join(__dirname, '..', name),
+    path.join(__dirname, '..', 'skills', 'ccr-model', name)
+  ];
+  return candidates.find(p => fs.existsSync(p)) || null;
+}
+
+const { recordProject, resolveProjectId } = require(findSkillFile('project-index.js'));
+const { getConfigLayers, getGitBranch, mergeLayers } = require(findSkillFile('config-layers.js'));
+
 // ============ Session ID Caching ============
 
 function readHookInput() {
@@ -64,6 +81,51 @@ function cacheSessionId(hookInput) {
   }
 }
 
+/**
+ * Record cwd → project ID in the project index so ccr-model.js and the status
+ * line can find the project without guessing from the path. Best-effort.
+ */
+function recordProjectIndex(hookInput) {
+  if (!hookInput || !hookInput.cwd || !hookInput.transcript_path) return;
+
+  try {
+    recordProject(hookInput.cwd, getProjectId(hookInput.cwd, hookInput.transcript_path));
+  } catch (e) {
+    // Best-effort; don't break the hook
+  }
+}
+
+/**
+ * Run `ccr-model sync-branch` so the current git branch's override is in the
+ * project config before the banner is built. Its output is discarded: stdout
+ * of this hook must stay valid JSON. Best-effort.
+ *
+ * The daemon restart is deferred to a detached waiter: the timeout below must
+ * never kill sync-branch between `ccr stop` and `ccr start`.
+ */
+function syncBranch(hookInput) {
+  const cwd = hookInput?.cwd || process.cwd();
+  const projectId = getProjectId(cwd, hookInput?.transcript_path);
+  if (!projectId) return;
+
+  try {
+    const projectConfigPath = path.join(CCR_PROJECTS_DIR, projectId, 'config.json');
+    const projectConfig = JSON.parse(fs.readFileSync(projectConfigPath, 'utf-8'));
+    if (!projectConfig.Branches) return;
+    if (projectConfig.BranchSync?.branch === getGitBranch(cwd)) return;
+
+    const script = findSkillFile('ccr-model.js');
+    if (!script) return;
+    require('child_process').execFileSync(process.execPath, [script, 'sync-branch', '--restart=deferred'], {
+      cwd,
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 15000
+    });
+  } catch (e) {
+    // Don't break the hook; the status line retries on its next refresh
+  }
+}
+
 // ============ CCR Model Detection ============
 
 function getCCRConfig() {
@@ -107,62 +169,14 @@ function isCCRActive() {
 }
 
 /**
- * Get project ID by encoding cwd path (same scheme as Claude Code).
+ * Get project ID for a session. The transcript lives in
+ * ~/.claude/projects/<project-id>/, so its directory is the real ID; without
+ * it, resolve the cwd like ccr-model.js does (project-index.js).
  */
-function getProjectId(cwd) {
-  if (!cwd || !fs.existsSync(CLAUDE_PROJECTS_DIR)) return null;
-
-  const projects = fs.readdirSync(CLAUDE_PROJECTS_DIR);
-  const encoded = '-' + cwd.replace(/^\//, '').replace(/\//g, '-');
-  if (projects.includes(encoded)) return encoded;
-
-  // Fallback: match by folder name suffix
-  const folder = path.basename(cwd);
-  const candidates = projects.filter(p =>
-    p.endsWith('-' + folder) &&
-    fs.statSync(path.join(CLAUDE_PROJECTS_DIR, p)).isDirectory()
-  );
-
-  if (candidates.length === 1) return candidates[0];
-  if (candidates.length > 1) {
-    // Most specific (longest) match wins
-    return candidates.sort((a, b) =>
-      (b.match(/-/g) || []).length - (a.match(/-/g) || []).length
-    )[0];
-  }
-
-  return null;
-}
-
-/**
- * Resolve the effective Router config: Session > Project > Global.
- * Returns { level, router } or null if nothing is configured.
- */
-function getEffectiveRouter(sessionId, projectId) {
-  const globalConfig = getCCRConfig();
-  let effective = { level: 'global', router: globalConfig?.Router || {} };
-
-  if (projectId) {
-    const pcPath = path.join(CCR_PROJECTS_DIR, projectId, 'config.json');
-    try {
-      const pc = JSON.parse(fs.readFileSync(pcPath, 'utf-8'));
-      if (pc.Router && Object.values(pc.Router).some(v => v)) {
-        effective = { level: 'project', router: pc.Router };
-      }
-    } catch (e) {}
-  }
-
-  if (projectId && sessionId) {
-    const scPath = path.join(CCR_PROJECTS_DIR, projectId, `${sessionId}.json`);
-    try {
-      const sc = JSON.parse(fs.readFileSync(scPath, 'utf-8'));
-      if (sc.Router && Object.values(sc.Router).some(v => v)) {
-        effective = { level: 'session', router: sc.Router };
-      }
-    } catch (e) {}
-  }
-
-  return effective;
+function getProjectId(cwd, transcriptPath) {
+  if (transcriptPath) return path.basename(path.dirname(transcriptPath));
+  if (!cwd) return null;
+  return resolveProjectId(cwd).projectId;
 }
 
 /**
@@ -174,9 +188,10 @@ function buildModelContext(hookInput) {
 
   const cwd = hookInput?.cwd || process.cwd();
   const sessionId = hookInput?.session_id || null;
-  const projectId = getProjectId(cwd);
+  const projectId = getProjectId(cwd, hookInput?.transcript_path);
 
-  const { level, router } = getEffectiveRouter(sessionId, projectId);
+  // Same Session > Branch > Project > Repo > Global resolution as ccr-model.js
+  const { level, config: router } = mergeLayers(getConfigLayers(projectId, sessionId));
 
   // Pick the primary model (default first, then fallback to other roles)
   const currentModel = router.default || router.think || router.background ||
@@ -187,8 +202,11 @@ function buildModelContext(hookInput) {
   // CCR stores "provider,model", display as "provider/model"
   const displayModel = currentModel.replace(',', '/');
 
-  const levelLabels = { global: '全局', project: '项目', session: '会话' };
-  const levelLabel = levelLabels[level] || level;
+  const levelLabels = { global: '全局', repo: '仓库', project: '项目', branch: '分支', session: '会话' };
+  let levelLabel = levelLabels[level] || level;
+  if (level === 'branch') {
+    levelLabel += ` (${getGitBranch(cwd)})`;
+  }
 
   return { displayModel, levelLabel, level };
 }
@@ -264,8 +282,11 @@ function showMacNotification(modelInfo) {
 
 const hookInput = readHookInput();
 
-// Step 1: cache session ID (side effect, must happen before any output)
+// Step 1: cache session ID, record the project and apply the branch override
+// (side effects, must happen before any output)
 cacheSessionId(hookInput);
+recordProjectIndex(hookInput);
+syncBranch(hookInput);
 
 // Step 2: build model info and generate context with banner
 const modelInfo = buildModelContext(hookInput);
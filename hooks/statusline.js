@@ -8,7 +8,7 @@
  *
  * Output goes to stdout (required by Claude Code statusLine).
  *
- * Config priority: Session > Project > Global
+ * Config priority: Session > Branch (git branch override) > Project > Repo (.ccr-model.json via sync-project) > Global
  *
  * Stdin from Claude Code contains:
  *   { session_id, transcript_path, cwd, context_window: { used_percentage } }
@@ -16,11 +16,29 @@
 
 const fs = require('fs');
 const path = require('path');
+const { spawn } = require('child_process');
 
 const CCR_CONFIG_PATH = path.join(process.env.HOME, '.claude-code-router', 'config.json');
 const CLAUDE_SETTINGS_PATH = path.join(process.env.HOME, '.claude', 'settings.json');
 const CLAUDE_PROJECTS_DIR = path.join(process.env.HOME, '.claude', 'projects');
 const CCR_PROJECTS_DIR = path.join(process.env.HOME, '.claude-code-router');
+// PID of the background `ccr-model sync-branch` started by a refresh
+const SYNC_BRANCH_PID_PATH = path.join(CCR_PROJECTS_DIR, '.sync-branch.pid');
+
+/**
+ * Locate a file shipped next to ccr-model.js: the skill directory when
+ * installed (hooks/ is inside it), skills/ccr-model/ in the source tree.
+ */
+function findSkillFile(name) {
+  const candidates = [
+    path.join(__dirname, '..', name),
+    path.join(__dirname, '..', 'skills', 'ccr-model', name)
+  ];
+  return candidates.find(p => fs.existsSync(p)) || null;
+}
+
+const { resolveProjectId } = require(findSkillFile('project-index.js'));
+const { getConfigLayers, getGitBranch, mergeLayers } = require(findSkillFile('config-layers.js'));
 
 function readStdin() {
   try {
@@ -43,52 +61,13 @@ function getCCRConfig() {
 }
 
 /**
- * Get project ID from a given cwd path (or process.cwd() as fallback).
- * Claude Code encodes project path as: leading slash → dash, other slashes → dashes.
+ * Get project ID for the session. The transcript lives in
+ * ~/.claude/projects/<project-id>/, so its directory is the real ID; without
+ * it, resolve the cwd like ccr-model.js does (project-index.js).
  */
-function getCurrentProjectId(cwd) {
-  const dir = cwd || process.cwd();
-
-  if (!fs.existsSync(CLAUDE_PROJECTS_DIR)) {
-    return null;
-  }
-
-  const projects = fs.readdirSync(CLAUDE_PROJECTS_DIR);
-
-  // Method 1: exact encoded path match
-  const encodedCwd = '-' + dir.replace(/^\//, '').replace(/\//g, '-');
-  if (projects.includes(encodedCwd)) {
-    return encodedCwd;
-  }
-
-  // Method 2: fallback by folder name suffix
-  const cwdFolder = path.basename(dir);
-  const candidates = [];
-
-  for (const projectId of projects) {
-    if (projectId.endsWith('-' + cwdFolder)) {
-      const projectPath = path.join(CLAUDE_PROJECTS_DIR, projectId);
-      if (fs.statSync(projectPath).isDirectory()) {
-        candidates.push(projectId);
-      }
-    }
-  }
-
-  if (candidates.length === 1) {
-    return candidates[0];
-  }
-
-  if (candidates.length > 1) {
-    // Prefer the longest match (most specific path)
-    candidates.sort((a, b) => {
-      const segmentsA = (a.match(/-/g) || []).length;
-      const segmentsB = (b.match(/-/g) || []).length;
-      return segmentsB - segmentsA;
-    });
-    return candidates[0];
-  }
-
-  return null;
+function getCurrentProjectId(cwd, transcriptPath) {
+  if (transcriptPath) return path.basename(path.dirname(transcriptPath));
+  return resolveProjectId(cwd || process.cwd()).projectId;
 }
 
 /**
@@ -112,49 +91,6 @@ function getSessionIdByMtime(projectId) {
   return files.length > 0 ? files[0].replace('.jsonl', '') : null;
 }
 
-/**
- * Resolve effective CCR router config following priority: Session > Project > Global.
- *
- * @param {string|null} sessionId - From stdin (most reliable) or mtime fallback
- * @param {string|null} projectId - From encoded cwd
- * @returns {{ level: 'global'|'project'|'session', config: object }}
- */
-function getEffectiveConfig(sessionId, projectId) {
-  const globalConfig = getCCRConfig();
-  let effective = {
-    level: 'global',
-    config: globalConfig?.Router || {}
-  };
-
-  if (projectId) {
-    const projectConfigPath = path.join(CCR_PROJECTS_DIR, projectId, 'config.json');
-    if (fs.existsSync(projectConfigPath)) {
-      try {
-        const projectConfig = JSON.parse(fs.readFileSync(projectConfigPath, 'utf-8'));
-        // Only promote if Router has at least one non-empty value
-        if (projectConfig.Router && Object.values(projectConfig.Router).some(v => v)) {
-          effective = { level: 'project', config: projectConfig.Router };
-        }
-      } catch (e) { /* ignore */ }
-    }
-  }
-
-  if (projectId && sessionId) {
-    const sessionConfigPath = path.join(CCR_PROJECTS_DIR, projectId, `${sessionId}.json`);
-    if (fs.existsSync(sessionConfigPath)) {
-      try {
-        const sessionConfig = JSON.parse(fs.readFileSync(sessionConfigPath, 'utf-8'));
-        // Only promote if Router has at least one non-empty value
-        if (sessionConfig.Router && Object.values(sessionConfig.Router).some(v => v)) {
-          effective = { level: 'session', config: sessionConfig.Router };
-        }
-      } catch (e) { /* ignore */ }
-    }
-  }
-
-  return effective;
-}
-
 function modelMatches(modelStr, currentModel) {
   if (!modelStr || !currentModel) return false;
   if (modelStr === currentModel) return true;
@@ -178,6 +114,71 @@ function ccrFormatToDisplay(ccrFormat) {
   return ccrFormat.replace(',', '/');
 }
 
+/**
+ * When the project has branch overrides and the checked-out branch changed
+ * since they were last materialized, run `ccr-model sync-branch` in the
+ * background. The status line must return immediately; the next refresh
+ * shows the result.
+ *
+ * The restart is deferred (queued for a detached waiter) rather than done by
+ * sync-branch itself, and SYNC_BRANCH_PID_PATH keeps refreshes from starting
+ * another sync while one is still running.
+ */
+function syncBranchInBackground(projectId, cwd) {
+  if (!projectId) return;
+
+  try {
+    const projectConfigPath = path.join(CCR_PROJECTS_DIR, projectId, 'config.json');
+    const projectConfig = JSON.parse(fs.readFileSync(projectConfigPath, 'utf-8'));
+    if (!projectConfig.Branches) return;
+    if (projectConfig.BranchSync?.branch === getGitBranch(cwd)) return;
+
+    const script = findSkillFile('ccr-model.js');
+    if (!script || !claimSyncBranch()) return;
+    const child = spawn(process.execPath, [script, 'sync-branch', '--restart=deferred'], {
+      cwd,
+      detached: true,
+      stdio: 'ignore'
+    });
+    child.unref();
+    fs.writeFileSync(SYNC_BRANCH_PID_PATH, String(child.pid));
+  } catch (e) {
+    // Best-effort; never break the status line
+  }
+}
+
+/**
+ * Create SYNC_BRANCH_PID_PATH unless a sync started by an earlier refresh is
+ * still running. A PID file older than a minute is ignored (PID reuse).
+ * @returns {boolean} whether this refresh may start the sync
+ */
+function claimSyncBranch() {
+  try {
+    const stat = fs.statSync(SYNC_BRANCH_PID_PATH);
+    const pid = parseInt(fs.readFileSync(SYNC_BRANCH_PID_PATH, 'utf-8'), 10);
+    if (Date.now() - stat.mtimeMs < 60 * 1000) {
+      // Empty: another refresh is just starting one
+      if (!pid) return false;
+      try {
+        process.kill(pid, 0);
+        return false;
+      } catch (e) {
+        if (e.code === 'EPERM') return false;
+      }
+    }
+    fs.unlinkSync(SYNC_BRANCH_PID_PATH);
+  } catch (e) {
+    // No PID file
+  }
+
+  try {
+    fs.closeSync(fs.openSync(SYNC_BRANCH_PID_PATH, 'wx'));
+    return true;
+  } catch (e) {
+    return false; // Another refresh got there first
+  }
+}
+
 /**
  * Check if Claude Code is routing through CCR by comparing
  * ANTHROPIC_BASE_URL against CCR's configured HOST:PORT.
@@ -235,13 +236,16 @@ function main() {
   // Use session_id from stdin (most accurate), fallback to mtime
   // Use cwd from stdin for correct project detection in all situations
   const stdinCwd = stdinData.cwd || null;
-  const projectId = getCurrentProjectId(stdinCwd);
+  const projectId = getCurrentProjectId(stdinCwd, stdinData.transcript_path);
 
   // stdin session_id is the most reliable source — no process-tree walking needed
   const sessionId = stdinData.session_id || getSessionIdByMtime(projectId);
 
+  syncBranchInBackground(projectId, stdinCwd || process.cwd());
+
   const config = getCCRConfig();
-  const effective = getEffectiveConfig(sessionId, projectId);
+  // Same Session > Branch > Project > Repo > Global resolution as ccr-model.js
+  const effective = mergeLayers(getConfigLayers(projectId, sessionId));
   const router = effective.config;
   const level = effective.level;
 
@@ -285,8 +289,10 @@ function main() {
     modelDisplay = 'CCR (no model)';
   }
 
-  // Level indicator: 🌐 global / 📁 project / 💬 session
-  const levelIcons = { global: '\u{1F310}', project: '\u{1F4C1}', session: '\u{1F4AC}' };
+  // Level indicator: 🌐 global / 📦 repo / 📁 project / 🌿 branch / 💬 session
+  const levelIcons = {
+    global: '\u{1F310}', repo: '\u{1F4E6}', project: '\u{1F4C1}', branch: '\u{1F33F}', session: '\u{1F4AC}'
+  };
   const levelIcon = levelIcons[level] || '';
 
   console.log(`${levelIcon} ${modelDisplay} | ${bar} ${ctxPct}% ctx`);
@@ -40,6 +40,7 @@ node -e "
 const fs = require('fs');
 const settingsPath = '$SETTINGS_FILE';
 const sessionStartHookPath = '$SKILL_DIR/hooks/session-start.js';
+const sessionEndHookPath = '$SKILL_DIR/hooks/session-end.js';
 const statuslinePath = '$SKILL_DIR/hooks/statusline.js';
 
 try {
@@ -90,6 +91,39 @@ try {
         console.log('✅ SessionStart hook updated');
     }
 
+    // --- SessionEnd hook (session cache cleanup) ---
+    if (!settings.hooks.SessionEnd) settings.hooks.SessionEnd = [];
+
+    const endHookExists = settings.hooks.SessionEnd.some(h =>
+        h.hooks && h.hooks.some(sub =>
+            sub.command && sub.command.includes('session-end.js')
+        )
+    );
+
+    if (!endHookExists) {
+        settings.hooks.SessionEnd.push({
+            matcher: '',
+            hooks: [{
+                type: 'command',
+                command: 'node ' + sessionEndHookPath
+            }]
+        });
+        console.log('✅ SessionEnd hook configured');
+    } else {
+        settings.hooks.SessionEnd.forEach(h => {
+            if (h.hooks) {
+                h.hooks.forEach(sub => {
+                    if (sub.command && sub.command.includes('session-end.js')) {
+                        // Keep options such as --remove-override
+                        const options = sub.command.includes('--remove-override') ? ' --remove-override' : '';
+                        sub.command = 'node ' + sessionEndHookPath + options;
+                    }
+                });
+            }
+        });
+        console.log('✅ SessionEnd hook updated');
+    }
+
     // --- StatusLine (model display) ---
     settings.statusLine = {
         type: 'command',
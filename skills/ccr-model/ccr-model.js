@@ -13,7 +13,16 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { execSync, spawn } = require('child_process');
+// Cross-process locks and atomic writes, shared with the hooks
+const fileLock = require('./file-lock');
+const { sleepSync, writeFileAtomic } = fileLock;
+// cwd → Claude Code project ID resolution, shared with the hooks
+const { PROJECT_INDEX_PATH, readProjectIndex, resolveProjectId } = require('./project-index');
+// Session > Branch > Project > Repo > Global resolution, shared with the hooks
+const configLayers = require('./config-layers');
+const { getGitBranch, getActiveBranchRoles, getProjectBaseRouter } = configLayers;
 
 const CCR_CONFIG_PATH = path.join(process.env.HOME, '.claude-code-router', 'config.json');
 const CCR_PID_PATH = path.join(process.env.HOME, '.claude-code-router', '.claude-code-router.pid');
@@ -23,9 +32,41 @@ const CLAUDE_PROJECTS_DIR = path.join(process.env.HOME, '.claude', 'projects');
 // CCR reads project/session configs from its own directory, not from ~/.claude/projects/
 const CCR_PROJECTS_DIR = path.join(process.env.HOME, '.claude-code-router');
 const SESSION_CACHE_DIR = path.join(require('os').tmpdir(), 'ccr-sessions');
+// Named role → model maps, stored next to the CCR config
+const PROFILES_PATH = path.join(process.env.HOME, '.claude-code-router', 'profiles.json');
+// User-defined aliases: { models: { alias: "provider,model" }, providers: { alias: "provider" } }
+const ALIASES_PATH = path.join(process.env.HOME, '.claude-code-router', 'aliases.json');
+// Snapshots of config files taken before every write (see `ccr-model history`)
+const HISTORY_DIR = path.join(process.env.HOME, '.claude-code-router', 'history');
+const MAX_HISTORY_ENTRIES = 50;
 
 // ============ Utility Functions ============
 
+// Set by the global --json flag: stdout carries exactly one JSON document
+let jsonOutput = false;
+
+// Command line of this invocation, recorded with config history snapshots
+let currentCommand = 'ccr-model';
+
+// Set by --dry-run: config writes and restarts are recorded instead of performed
+let dryRun = false;
+const dryRunPlan = { changes: [], restart: 'no' };
+
+// Levels of the config files this invocation changed (or would change, under
+// --dry-run). Writes that leave a file as it was do not count, so a no-op
+// command does not restart the daemon.
+const changedConfigLevels = new Set();
+
+/**
+ * Print human-readable progress text.
+ * Goes to stderr in --json mode so stdout stays machine-readable. Silent in
+ * --dry-run mode, where the planned changes are reported instead.
+ */
+function say(msg = '') {
+  if (dryRun) return;
+  (jsonOutput ? console.error : console.log)(msg);
+}
+
 function log(msg, type = 'info') {
   const icons = {
     info: 'ℹ️ ',
@@ -34,7 +75,93 @@ function log(msg, type = 'info') {
     error: '❌',
     action: '🔧'
   };
-  console.log(`${icons[type] || ''}${msg}`);
+  say(`${icons[type] || ''}${msg}`);
+}
+
+function printJSON(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Report a fatal error and exit non-zero.
+ *
+ * In --json mode prints { ok: false, error: { code, message } } to stdout.
+ * Codes are stable identifiers (e.g. NO_MATCH, INVALID_ROLE) that scripts can
+ * branch on; see SKILL.md for the full list. `details` adds extra fields to
+ * the JSON error object.
+ */
+function fail(code, message, hint, details) {
+  if (jsonOutput) {
+    printJSON({ ok: false, error: { code, message, ...details } });
+  } else {
+    console.error(`❌ ${message}`);
+    if (hint) console.error(hint);
+  }
+  process.exit(1);
+}
+
+/**
+ * Drop the values of options given as `--name value`, so they are not taken
+ * for positional arguments (e.g. the model query of `set glm-5 --role think`).
+ */
+function removeOptionValues(args, names) {
+  const valueIndexes = new Set();
+  for (const name of names) {
+    const idx = args.indexOf(`--${name}`);
+    if (idx !== -1 && idx + 1 < args.length && !args[idx + 1].startsWith('--')) {
+      valueIndexes.add(idx + 1);
+    }
+  }
+  return args.filter((_, i) => !valueIndexes.has(i));
+}
+
+/**
+ * Read an option given as `--name=value` or `--name value`.
+ * Returns null when the option is absent.
+ */
+function getOption(args, name) {
+  const prefix = `--${name}=`;
+  const inline = args.find(a => a.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+
+  const idx = args.indexOf(`--${name}`);
+  if (idx !== -1 && idx + 1 < args.length && !args[idx + 1].startsWith('--')) {
+    return args[idx + 1];
+  }
+  return null;
+}
+
+/**
+ * Read one line from the terminal synchronously.
+ */
+function promptLine(question) {
+  (jsonOutput ? process.stderr : process.stdout).write(question);
+
+  const buf = Buffer.alloc(1);
+  let line = '';
+  for (;;) {
+    let n;
+    try {
+      n = fs.readSync(0, buf, 0, 1, null);
+    } catch (e) {
+      if (e.code === 'EAGAIN') continue;
+      break;
+    }
+    if (n === 0) break;
+    const ch = buf.toString('utf-8');
+    if (ch === '\n') break;
+    line += ch;
+  }
+  return line.trim();
+}
+
+/**
+ * Ask a yes/no question. `--yes` answers yes; without a terminal the answer is no.
+ */
+function confirm(question, args) {
+  if (args.includes('--yes') || args.includes('-y')) return true;
+  if (!process.stdin.isTTY) return false;
+  return /^y(es)?$/i.test(promptLine(`${question} [y/N] `));
 }
 
 function runCommand(cmd, silent = false) {
@@ -52,16 +179,16 @@ function checkCCRInstalled() {
   const ccrPath = runCommand('which ccr', true);
   if (!ccrPath) {
     log('CCR (claude-code-router) is not installed!', 'error');
-    console.log('\nTo install CCR, run one of:');
-    console.log('  npm install -g @anthropic-ai/claude-code-router');
-    console.log('  npm install -g @musistudio/claude-code-router');
+    say('\nTo install CCR, run one of:');
+    say('  npm install -g @anthropic-ai/claude-code-router');
+    say('  npm install -g @musistudio/claude-code-router');
     return false;
   }
 
   // Check if config directory exists
   if (!fs.existsSync(path.dirname(CCR_CONFIG_PATH))) {
     log('CCR config directory not found. Running ccr init...', 'action');
-    runCommand('ccr init');
+    runCommand('ccr init', jsonOutput);
   }
 
   return true;
@@ -93,7 +220,7 @@ function checkCCRDaemonRunning() {
 function startCCRDaemon() {
   log('CCR daemon is not running. Starting...', 'action');
 
-  const result = runCommand('ccr start', false);
+  const result = runCommand('ccr start', jsonOutput);
   if (result !== null) {
     // Wait a bit for daemon to start
     let attempts = 0;
@@ -114,6 +241,8 @@ function startCCRDaemon() {
 
 function restartCCRDaemon() {
   log('Restarting CCR daemon to apply changes...', 'action');
+  // Cleared before stopping: anything written after this point needs another restart
+  clearPendingRestart();
   runCommand('ccr stop', true);
 
   let attempts = 0;
@@ -125,6 +254,290 @@ function restartCCRDaemon() {
   return startCCRDaemon();
 }
 
+// ============ Dry Run ============
+
+/**
+ * --dry-run counterpart of updateConfigFile: apply mutate to the current
+ * contents and record the resulting diff without writing anything.
+ */
+function planConfigFile(filePath, level, mutate) {
+  const before = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+  let current = null;
+  try {
+    current = before === null ? null : JSON.parse(before);
+  } catch (e) {
+    // Unparseable: mutate sees null, as it would under updateConfigFile
+  }
+  const beforeRouter = { ...(current?.Router || {}) };
+
+  const next = mutate(current);
+  if (next === undefined) return next;
+
+  const after = next === null ? null : JSON.stringify(next, null, 2);
+  if (after === before) return next;
+  changedConfigLevels.add(level);
+  const afterRouter = next?.Router || {};
+  const roles = [...new Set([...Object.keys(beforeRouter), ...Object.keys(afterRouter)])]
+    .filter(role => (beforeRouter[role] || null) !== (afterRouter[role] || null))
+    .map(role => ({ role, from: beforeRouter[role] || null, to: afterRouter[role] || null }));
+
+  dryRunPlan.changes.push({
+    path: filePath,
+    level,
+    action: next === null ? 'delete' : (before === null ? 'create' : 'update'),
+    roles,
+    diff: unifiedDiff(before, after, `${filePath} (current)`, `${filePath} (after)`)
+  });
+  return next;
+}
+
+/**
+ * Print what a --dry-run command would have changed.
+ */
+function printDryRunPlan() {
+  console.log('🔍 Dry run: nothing was written\n');
+
+  const changes = dryRunPlan.changes.filter(c => c.diff);
+  if (changes.length === 0) {
+    console.log('  No changes; no restart needed.');
+    return;
+  }
+  for (const change of changes) {
+    const label = LEVEL_LABELS[change.level] || change.level;
+    console.log(`  File: ${change.path} (${label}, ${change.action})\n`);
+    console.log(change.diff.replace(/\n$/, '').replace(/^/gm, '    '));
+    if (change.roles.length > 0) {
+      console.log('\n  Roles changed:');
+      for (const r of change.roles) {
+        console.log(`    ${r.role.padEnd(12)} ${ccrFormatToDisplay(r.from) || '(unset)'} → ${ccrFormatToDisplay(r.to) || '(unset)'}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log(`  Daemon restart: ${dryRunPlan.restart}`);
+}
+
+// ============ Restart Policy ============
+//
+// CCR has no reload mechanism: global/project changes only take effect after
+// `ccr stop` + `ccr start`, which drops requests other Claude Code sessions
+// have in flight. Restarts therefore go through requestDaemonRestart(), which
+// honours --no-restart / --restart=<mode> and queues the restart while CCR is
+// busy. A queued restart is recorded in RESTART_PENDING_PATH and applied by a
+// detached `ccr-model restart --when-idle` waiter.
+
+const RESTART_PENDING_PATH = path.join(process.env.HOME, '.claude-code-router', '.restart-pending.json');
+const RESTART_MODES = ['auto', 'now', 'deferred'];
+// Wait for this long without new queued changes before a deferred restart
+const RESTART_QUIET_MS = 3000;
+const RESTART_WAIT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// 'auto' | 'now' | 'deferred' | 'none' (--no-restart); set in main
+let restartMode = 'auto';
+
+/**
+ * Count client connections CCR is currently serving: lsof (macOS, Linux),
+ * else ss, else /proc/net/tcp. Only the server side of each connection counts
+ * (local port is CCR's), not the daemon's own connections to providers.
+ * @returns {number|null} null when it cannot be determined (no tool, or PORT is
+ *          not a port number)
+ */
+function countCCRConnections() {
+  const config = getCCRConfig();
+  // PORT may be a string ("3456"); anything that is not a port cannot be looked up
+  const port = Number(config?.PORT || 3456);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) return null;
+
+  const lsof = runCommand(`lsof -nP -iTCP:${port} -sTCP:ESTABLISHED`, true);
+  if (lsof !== null) {
+    return lsof.split('\n').filter(line => line.includes(`:${port}->`)).length;
+  }
+  // lsof exits non-zero when nothing matches
+  if (runCommand('which lsof', true)) return 0;
+
+  const ss = runCommand(`ss -tn state established '( sport = :${port} )'`, true);
+  if (ss !== null) {
+    return ss.split('\n').filter(line => line.trim() && !line.startsWith('Recv-Q')).length;
+  }
+
+  // /proc/net/tcp{,6}: "sl local_address rem_address st ...", hex port, st 01 = ESTABLISHED
+  let count = null;
+  const hexPort = port.toString(16).toUpperCase().padStart(4, '0');
+  for (const table of ['/proc/net/tcp', '/proc/net/tcp6']) {
+    let content;
+    try {
+      content = fs.readFileSync(table, 'utf-8');
+    } catch (e) {
+      continue;
+    }
+    count = (count || 0) + content.split('\n').slice(1).filter(line => {
+      const [, local, , state] = line.trim().split(/\s+/);
+      return state === '01' && local?.endsWith(`:${hexPort}`);
+    }).length;
+  }
+  return count;
+}
+
+function getPendingRestart() {
+  return readJSONFile(RESTART_PENDING_PATH);
+}
+
+function clearPendingRestart() {
+  try { fs.unlinkSync(RESTART_PENDING_PATH); } catch (_) {}
+}
+
+function isProcessAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Record that the daemon needs a restart. With spawnWaiter a detached
+ * `restart --when-idle` process is started unless one is already waiting.
+ */
+function queueRestart(spawnWaiter) {
+  updateConfigFile(RESTART_PENDING_PATH, null, pending => {
+    const now = Date.now();
+    pending = pending || { since: now, commands: [] };
+    pending.updated = now;
+    pending.commands = [...(pending.commands || []), currentCommand];
+
+    if (spawnWaiter && !isProcessAlive(pending.waiterPid)) {
+      const child = spawn(process.execPath, [__filename, 'restart', '--when-idle'], {
+        detached: true,
+        stdio: 'ignore'
+      });
+      child.unref();
+      pending.waiterPid = child.pid;
+      delete pending.waiterTimedOut;
+    }
+    return pending;
+  });
+}
+
+/**
+ * Apply a global/project config change to the running daemon.
+ *
+ * - none (--no-restart): only record the pending restart
+ * - deferred: queue one restart for when the batch is done and CCR is idle
+ * - auto: restart now, unless CCR is serving other sessions (then queue)
+ * - now: restart immediately
+ *
+ * @returns {boolean} whether the daemon was restarted now
+ */
+function requestDaemonRestart() {
+  // CCR reads the global and project configs; nothing else needs a restart
+  if (!changedConfigLevels.has('global') && !changedConfigLevels.has('project')) {
+    if (dryRun) {
+      dryRunPlan.restart = 'no (no changes)';
+    } else {
+      say('ℹ️  Config unchanged; no restart needed');
+    }
+    return false;
+  }
+
+  if (dryRun) {
+    dryRunPlan.restart = describePlannedRestart();
+    return false;
+  }
+
+  if (restartMode === 'none') {
+    queueRestart(false);
+    say('⏸️  Restart skipped (--no-restart). Run: ccr-model restart   to apply pending changes');
+    return false;
+  }
+
+  // Nothing can be in flight when CCR is not running
+  if (restartMode === 'now' || !checkCCRDaemonRunning()) {
+    return restartCCRDaemon();
+  }
+
+  if (restartMode === 'deferred') {
+    queueRestart(true);
+    say('⏳ Restart deferred: CCR restarts once changes stop arriving and it is idle');
+    return false;
+  }
+
+  const connections = countCCRConnections();
+  if (connections === null) {
+    // Idle cannot be detected either, so a waiter would only time out
+    queueRestart(false);
+    say('⏸️  Cannot tell whether CCR is serving other sessions (no lsof, ss or /proc/net/tcp, or PORT is not a number); restart queued');
+    say('   Run: ccr-model restart   to apply pending changes');
+    return false;
+  }
+  if (connections > 0) {
+    queueRestart(true);
+    say(`⏳ CCR is serving ${connections} connection(s) from other sessions; restart queued until it is idle`);
+    say('   Run: ccr-model restart   to restart immediately');
+    return false;
+  }
+  return restartCCRDaemon();
+}
+
+/**
+ * What requestDaemonRestart would do right now, for --dry-run.
+ */
+function describePlannedRestart() {
+  if (restartMode === 'none') return 'no (--no-restart; recorded as pending)';
+  if (!checkCCRDaemonRunning()) return 'yes (daemon is not running; it would be started)';
+  if (restartMode === 'now') return 'yes';
+  if (restartMode === 'deferred') return 'deferred until changes stop and CCR is idle';
+  const connections = countCCRConnections();
+  if (connections === null) return 'no (connections cannot be counted; recorded as pending)';
+  return connections > 0
+    ? `queued until idle (CCR is serving ${connections} connection(s))`
+    : 'yes';
+}
+
+/**
+ * `restart` command: apply a pending restart.
+ * With --when-idle, wait until no changes have been queued for
+ * RESTART_QUIET_MS and CCR has no open connections. A waiter that runs out of
+ * time leaves the pending restart in place and marks it timed out, so
+ * `status` and `doctor` can point at it.
+ */
+function restartCommand(args) {
+  if (!args.includes('--when-idle')) {
+    const pending = getPendingRestart();
+    const restarted = restartCCRDaemon();
+    return { restarted, pendingCommands: pending?.commands || [] };
+  }
+
+  const deadline = Date.now() + RESTART_WAIT_TIMEOUT_MS;
+  for (;;) {
+    const pending = getPendingRestart();
+    if (!pending) {
+      log('No restart pending', 'info');
+      return { restarted: false, pendingCommands: [] };
+    }
+
+    const quiet = Date.now() - (pending.updated || 0) >= RESTART_QUIET_MS;
+    if (quiet && countCCRConnections() === 0) {
+      const restarted = restartCCRDaemon();
+      return { restarted, pendingCommands: pending.commands || [] };
+    }
+
+    if (Date.now() > deadline) {
+      updateConfigFile(RESTART_PENDING_PATH, null, latest => {
+        if (!latest) return undefined;
+        if (latest.waiterPid === process.pid) delete latest.waiterPid;
+        latest.waiterTimedOut = Date.now();
+        return latest;
+      });
+      log('CCR did not become idle; restart is still pending. Run: ccr-model restart', 'warning');
+      return { restarted: false, pendingCommands: pending.commands || [] };
+    }
+    sleepSync(1000);
+  }
+}
+
 // ============ Config Reading ============
 
 function getCCRConfig() {
@@ -140,8 +553,307 @@ function getCCRConfig() {
   }
 }
 
-function saveCCRConfig(config) {
-  fs.writeFileSync(CCR_CONFIG_PATH, JSON.stringify(config, null, 2));
+/**
+ * Read-modify-write the global CCR config under its lock (see updateConfigFile).
+ * mutate receives the fresh config, or null if it is missing or unreadable.
+ */
+function updateCCRConfig(mutate) {
+  return updateConfigFile(CCR_CONFIG_PATH, 'global', mutate);
+}
+
+// ============ Config History ============
+
+// Files already snapshotted by this invocation; only the pre-command state is kept
+const snapshottedPaths = new Set();
+
+/**
+ * Save the current contents of a config file into the history directory.
+ * Records whether the file existed so undo can delete files a command created.
+ * Config files can hold API keys, so the directory is private and each
+ * snapshot is written with the mode of the file it copies (0600 if none).
+ */
+function snapshotConfigFile(filePath, level) {
+  if (snapshottedPaths.has(filePath)) return;
+  snapshottedPaths.add(filePath);
+
+  try {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true, mode: 0o700 });
+    // Directories created by earlier versions were world-readable
+    if ((fs.statSync(HISTORY_DIR).mode & 0o077) !== 0) {
+      fs.chmodSync(HISTORY_DIR, 0o700);
+    }
+
+    const existed = fs.existsSync(filePath);
+    const mode = existed ? fs.statSync(filePath).mode & 0o777 : 0o600;
+    const ts = Date.now();
+    const entry = {
+      ts,
+      command: currentCommand,
+      level,
+      path: filePath,
+      existed,
+      mode,
+      content: existed ? fs.readFileSync(filePath, 'utf-8') : null
+    };
+    const name = `${ts}-${process.pid}-${snapshottedPaths.size}.json`;
+    fs.writeFileSync(path.join(HISTORY_DIR, name), JSON.stringify(entry, null, 2), { mode });
+
+    // Rotate: drop the oldest snapshots beyond the limit
+    const files = listHistoryFiles();
+    for (const old of files.slice(MAX_HISTORY_ENTRIES)) {
+      fs.unlinkSync(path.join(HISTORY_DIR, old));
+    }
+  } catch (e) {
+    log(`Could not snapshot ${filePath}: ${e.message}`, 'warning');
+  }
+}
+
+/** History snapshot file names, newest first. */
+function listHistoryFiles() {
+  if (!fs.existsSync(HISTORY_DIR)) return [];
+  return fs.readdirSync(HISTORY_DIR)
+    .filter(f => f.endsWith('.json'))
+    .sort((a, b) => parseInt(b, 10) - parseInt(a, 10) || b.localeCompare(a));
+}
+
+/**
+ * Write a config file atomically, snapshotting it first when a level is given.
+ * Content identical to what is on disk is not written (and not snapshotted).
+ * Callers are expected to hold the file's lock (see updateConfigFile).
+ */
+function writeConfigFile(filePath, data, level) {
+  const content = JSON.stringify(data, null, 2);
+  if (readFileIfExists(filePath) === content) return;
+
+  if (level) snapshotConfigFile(filePath, level);
+  writeFileAtomic(filePath, content);
+  changedConfigLevels.add(level);
+}
+
+/**
+ * Delete a config file, snapshotting it first when a level is given.
+ */
+function removeConfigFile(filePath, level) {
+  if (level) snapshotConfigFile(filePath, level);
+  fs.unlinkSync(filePath);
+  changedConfigLevels.add(level);
+}
+
+function readFileIfExists(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============ Safe Config Writes ============
+
+/**
+ * Run fn while holding `<file>.lock` (see file-lock.js), recording this
+ * command in the lock for other writers' timeout messages.
+ */
+function withFileLock(filePath, fn) {
+  try {
+    return fileLock.withFileLock(filePath, fn, currentCommand);
+  } catch (e) {
+    if (e.code !== 'LOCK_TIMEOUT') throw e;
+    fail('LOCK_TIMEOUT', e.message, e.owner ? `   Held by PID ${e.owner.pid}: ${e.owner.command}` : undefined);
+  }
+}
+
+/**
+ * Read-modify-write a JSON file under its lock.
+ *
+ * The file is re-read after the lock is taken and `mutate` is applied to that
+ * fresh copy, so a change another process made in the meantime is merged
+ * rather than overwritten. mutate receives the parsed contents (null when the
+ * file is missing or unparseable) and returns the data to write, null to
+ * delete the file, or undefined to leave it untouched.
+ *
+ * @param {string|null} level - config level recorded in history; null skips the snapshot
+ * @returns {*} whatever mutate returned
+ */
+function updateConfigFile(filePath, level, mutate) {
+  if (dryRun) return planConfigFile(filePath, level, mutate);
+
+  return withFileLock(filePath, () => {
+    const current = fs.existsSync(filePath) ? readJSONFile(filePath) : null;
+    const next = mutate(current);
+
+    if (next === null) {
+      if (fs.existsSync(filePath)) removeConfigFile(filePath, level);
+    } else if (next !== undefined) {
+      writeConfigFile(filePath, next, level);
+    }
+    return next;
+  });
+}
+
+/**
+ * Load history entry n (1 = most recent).
+ */
+function getHistoryEntry(n) {
+  const files = listHistoryFiles();
+  if (!Number.isInteger(n) || n < 1 || n > files.length) {
+    fail('HISTORY_NOT_FOUND', `No history entry #${n}`, `   ${files.length} entr${files.length === 1 ? 'y' : 'ies'} available (ccr-model history)`);
+  }
+  const entry = readJSONFile(path.join(HISTORY_DIR, files[n - 1]));
+  if (!entry) {
+    fail('HISTORY_NOT_FOUND', `History entry #${n} is unreadable: ${files[n - 1]}`);
+  }
+  return entry;
+}
+
+/**
+ * Line-based unified diff (LCS). Config files are small, so O(n·m) is fine.
+ */
+function unifiedDiff(oldText, newText, oldLabel, newLabel, context = 3) {
+  const a = oldText ? oldText.replace(/\n$/, '').split('\n') : [];
+  const b = newText ? newText.replace(/\n$/, '').split('\n') : [];
+
+  // LCS lengths from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  // Edit script: [op, line, oldLineNo, newLineNo]
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push([' ', a[i], i++, j++]);
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push(['-', a[i], i++, j]);
+    } else {
+      ops.push(['+', b[j], i, j++]);
+    }
+  }
+
+  if (!ops.some(op => op[0] !== ' ')) return '';
+
+  // Group changes into hunks with surrounding context
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k][0] === ' ') { k++; continue; }
+
+    const start = Math.max(0, k - context);
+    let end = k;
+    let lastChange = k;
+    while (end < ops.length && end - lastChange <= context * 2) {
+      if (ops[end][0] !== ' ') lastChange = end;
+      end++;
+    }
+    end = Math.min(ops.length, lastChange + context + 1);
+
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op[0] !== '+').length;
+    const newCount = hunk.filter(op => op[0] !== '-').length;
+    const oldStart = oldCount ? hunk[0][2] + 1 : hunk[0][2];
+    const newStart = newCount ? hunk[0][3] + 1 : hunk[0][3];
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const [op, line] of hunk) {
+      lines.push(op + line);
+    }
+    k = end;
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function showHistory() {
+  const entries = listHistoryFiles().map((file, idx) => {
+    const entry = readJSONFile(path.join(HISTORY_DIR, file)) || {};
+    return {
+      index: idx + 1,
+      ts: entry.ts || parseInt(file, 10),
+      command: entry.command || '?',
+      level: entry.level || '?',
+      path: entry.path || '?',
+      existed: entry.existed !== false
+    };
+  });
+
+  if (jsonOutput) return { snapshots: entries };
+
+  if (entries.length === 0) {
+    console.log('No config history yet.');
+    return;
+  }
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log('              Config History (newest first)');
+  console.log('═══════════════════════════════════════════════════\n');
+  for (const e of entries) {
+    const when = new Date(e.ts).toLocaleString();
+    const label = LEVEL_LABELS[e.level] || e.level;
+    console.log(`  ${String(e.index).padStart(3)}  ${when}  ${label}`);
+    console.log(`       ${e.command}`);
+    console.log(`       ${e.path.replace(process.env.HOME, '~')}${e.existed ? '' : ' (did not exist)'}`);
+  }
+  console.log('');
+  console.log('💡 ccr-model diff <n>   compare a snapshot with the current file');
+  console.log('💡 ccr-model undo [n]   restore a snapshot (default: most recent)');
+}
+
+function diffHistory(n) {
+  const entry = getHistoryEntry(n);
+  const current = fs.existsSync(entry.path) ? fs.readFileSync(entry.path, 'utf-8') : null;
+  const diff = unifiedDiff(
+    entry.content,
+    current,
+    `${entry.path} (snapshot #${n}, ${new Date(entry.ts).toISOString()})`,
+    `${entry.path} (current)`
+  );
+
+  if (jsonOutput) return { index: n, path: entry.path, level: entry.level, diff };
+
+  if (!diff) {
+    console.log(`Snapshot #${n} is identical to the current file: ${entry.path}`);
+    return;
+  }
+  process.stdout.write(diff);
+}
+
+/**
+ * Restore history entry n. The current state is snapshotted first, so an undo
+ * can itself be undone.
+ */
+function undoHistory(n) {
+  const entry = getHistoryEntry(n);
+
+  const action = withFileLock(entry.path, () => {
+    if (entry.existed) {
+      if (readFileIfExists(entry.path) === entry.content) return null;
+      snapshotConfigFile(entry.path, entry.level);
+      writeFileAtomic(entry.path, entry.content, entry.mode);
+      changedConfigLevels.add(entry.level);
+      return 'restored';
+    }
+    if (fs.existsSync(entry.path)) {
+      removeConfigFile(entry.path, entry.level);
+      return 'removed';
+    }
+    return null;
+  });
+
+  if (action === 'restored') {
+    say(`✅ Restored ${entry.path}`);
+  } else if (action === 'removed') {
+    say(`✅ Removed ${entry.path} (it did not exist before: ${entry.command})`);
+  } else {
+    say(`ℹ️ ${entry.path} already matches snapshot #${n}`);
+  }
+  say(`   Undid: ${entry.command} (${new Date(entry.ts).toLocaleString()})`);
+
+  // CCR reads session config per-request, no daemon restart needed
+  const restarted = entry.level === 'session' ? false : requestDaemonRestart();
+  return { index: n, path: entry.path, level: entry.level, restarted };
 }
 
 function getClaudeSettings() {
@@ -196,92 +908,641 @@ function isCCRActive() {
 
 // ============ CC-Switch Import ============
 
-function getCCSwitchProviders() {
-  if (!fs.existsSync(CC_SWITCH_DB_PATH)) {
+/**
+ * Read the Claude provider rows from the cc-switch database.
+ * @returns {Array<{ id: string, name: string, config: Object }>|null} null if unavailable
+ */
+function readCCSwitchRows(dbPath = CC_SWITCH_DB_PATH) {
+  if (!fs.existsSync(dbPath)) {
     log('cc-switch database not found', 'warning');
     return null;
   }
 
+  let records;
   try {
-    const result = runCommand(
-      `sqlite3 "${CC_SWITCH_DB_PATH}" "SELECT name, settings_config FROM providers WHERE app_type='claude';"`,
-      true
-    );
-
-    if (!result) return null;
-
-    const providers = [];
-    const lines = result.trim().split('\n');
-
-    for (const line of lines) {
-      const [name, configStr] = line.split('|');
-      if (!configStr) continue;
-
+    const db = openCCSwitchDb(dbPath, true);
+    if (db) {
       try {
-        const config = JSON.parse(configStr);
-        const env = config.env || {};
-        const model = env.ANTHROPIC_MODEL || config.model || '';
-
-        // Extract provider info
-        const provider = {
-          name: mapProviderName(name),
-          api_base_url: env.ANTHROPIC_BASE_URL || '',
-          api_key: env.ANTHROPIC_AUTH_TOKEN || env.ANTHROPIC_API_KEY || '',
-          models: model ? [model] : [],
-          transformer: { use: [detectTransformer(name, env.ANTHROPIC_BASE_URL)] }
-        };
-
-        // Only add if we have required fields
-        if (provider.api_base_url && provider.api_key && provider.models.length > 0) {
-          providers.push(provider);
-        }
-      } catch (e) {
-        // Skip invalid entries
+        records = db.prepare("SELECT id, name, settings_config FROM providers WHERE app_type = 'claude'").all();
+      } finally {
+        db.close();
       }
+    } else {
+      // Older Node: read the file directly instead of requiring the sqlite3 binary
+      records = require('./sqlite-reader').readTable(dbPath, 'providers')
+        .filter(r => r.app_type === 'claude');
+    }
+  } catch (e) {
+    log(`Cannot read cc-switch database: ${e.message}`, 'warning');
+    return null;
+  }
+
+  const rows = [];
+  for (const row of records) {
+    try {
+      rows.push({ id: row.id, name: row.name, config: JSON.parse(row.settings_config) });
+    } catch (e) {
+      // Skip invalid entries
     }
+  }
+  return rows;
+}
 
-    return providers;
+/**
+ * Open the cc-switch database with Node's built-in SQLite module (Node 22.5+).
+ * @returns {Object|null} a DatabaseSync, or null if node:sqlite is not available
+ */
+function openCCSwitchDb(dbPath, readOnly) {
+  let sqlite;
+  try {
+    sqlite = require('node:sqlite');
   } catch (e) {
-    log(`Error reading cc-switch: ${e.message}`, 'warning');
     return null;
   }
+  return new sqlite.DatabaseSync(dbPath, { readOnly });
 }
 
-function mapProviderName(ccSwitchName) {
-  // Common known mappings (can be extended)
-  const knownMappings = {
-    'Zhipu GLM': 'glm',
-    'DouBaoSeed': 'doubao',
-    'Xiaomi MiMo': 'mimo',
-    'OpenRouter': 'openrouter',
-    'Kimi For Coding': 'kimi',
-    'MiniMax': 'minimax',
-    'AntigravityTool': 'antigravity',
-    'CCR Router': 'ccr'
+/**
+ * Run SQL statements against the cc-switch database in one transaction.
+ * Uses node:sqlite when available, otherwise the sqlite3 binary; the bundled
+ * reader is read-only. Throws on failure, leaving the database unchanged.
+ */
+function writeCCSwitchDb(statements) {
+  const db = openCCSwitchDb(CC_SWITCH_DB_PATH, false);
+  if (db) {
+    try {
+      db.exec(['BEGIN;', ...statements, 'COMMIT;'].join('\n'));
+    } catch (e) {
+      try {
+        db.exec('ROLLBACK;');
+      } catch (rollbackError) {
+        // No transaction was open
+      }
+      throw e;
+    } finally {
+      db.close();
+    }
+    return;
+  }
+
+  if (runCommand('sqlite3 -version', true) === null) {
+    throw new Error('writing needs Node 22.5+ (node:sqlite) or the sqlite3 command');
+  }
+  try {
+    execSync(`sqlite3 "${CC_SWITCH_DB_PATH}"`, {
+      input: ['.bail on', 'BEGIN;', ...statements, 'COMMIT;'].join('\n'),
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+  } catch (e) {
+    throw new Error((e.stderr || e.message).toString().trim());
+  }
+}
+
+/**
+ * Import entry (see Provider Importers) for one cc-switch row.
+ */
+function ccSwitchRowToEntry(row) {
+  const env = row.config.env || {};
+  const model = env.ANTHROPIC_MODEL || row.config.model || '';
+  return {
+    source: row.name,
+    name: row.name,
+    baseUrl: env.ANTHROPIC_BASE_URL || '',
+    apiKey: env.ANTHROPIC_AUTH_TOKEN || env.ANTHROPIC_API_KEY || '',
+    models: model ? [model] : []
+  };
+}
+
+/**
+ * Translate one cc-switch row into a CCR provider (see translateImportEntry).
+ */
+function translateCCSwitchRow(row) {
+  return translateImportEntry(ccSwitchRowToEntry(row));
+}
+
+// ============ Provider Importers ============
+//
+// `import --from=<importer> [path]` reads providers from other places people
+// keep credentials. Every importer returns entries of the same shape,
+//
+//   { source, name, baseUrl, apiKey, models }
+//
+// which translateImportEntry() turns into a CCR provider using the shared
+// name and transformer rules, so all sources merge the same way.
+
+const IMPORTERS = {
+  'cc-switch': {
+    label: 'cc-switch',
+    defaultPaths: () => [CC_SWITCH_DB_PATH],
+    read: filePath => {
+      const rows = readCCSwitchRows(filePath);
+      return rows && rows.map(ccSwitchRowToEntry);
+    }
+  },
+  'claude-settings': {
+    label: 'Claude settings',
+    defaultPaths: () => [CLAUDE_SETTINGS_PATH, path.join(process.cwd(), '.claude', 'settings.local.json')],
+    read: filePath => {
+      const settings = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      return entriesFromEnv(settings.env, path.basename(filePath));
+    }
+  },
+  dotenv: {
+    label: '.env',
+    defaultPaths: () => [path.join(process.cwd(), '.env')],
+    read: filePath => entriesFromEnv(parseDotenv(fs.readFileSync(filePath, 'utf-8')), path.basename(filePath))
+  },
+  litellm: {
+    label: 'LiteLLM',
+    defaultPaths: () => [],
+    read: readLiteLLMEntries
+  }
+};
+
+/**
+ * Translate one import entry into a CCR provider.
+ * @returns {{ source: string, provider: Object, nameRule: string,
+ *             transformerRule: string, skipped: string|null }}
+ */
+function translateImportEntry(entry) {
+  const { name, rule: nameRule } = translateProviderName(entry.name);
+  const { transformer, rule: transformerRule } = translateTransformer(entry.name, entry.baseUrl, entry.models);
+
+  const provider = {
+    name,
+    api_base_url: entry.baseUrl,
+    api_key: entry.apiKey,
+    models: entry.models,
+    transformer
+  };
+
+  // Only import entries with the required fields
+  const missing = ['api_base_url', 'api_key'].filter(f => !provider[f]);
+  if (entry.models.length === 0) missing.push('model');
+  let skipped = missing.length > 0 ? `missing ${missing.join(', ')}` : null;
+  if (entry.baseUrl && isCCRUrl(entry.baseUrl)) {
+    // Claude Code's own settings usually point at CCR; importing that would loop
+    skipped = 'points at CCR itself';
+  }
+
+  return { source: entry.source, provider, nameRule, transformerRule, skipped };
+}
+
+function isCCRUrl(baseUrl) {
+  const config = getCCRConfig();
+  const origin = `http://${config?.HOST || '127.0.0.1'}:${config?.PORT || 3456}`;
+  const normalized = (baseUrl || '').replace(/\/+$/, '');
+  return normalized === origin || normalized.startsWith(origin + '/');
+}
+
+/**
+ * Read one import source.
+ * @param {string} from - importer name (key of IMPORTERS)
+ * @param {string|null} filePath - explicit file; null reads the importer's defaults
+ * @returns {{ label: string, paths: string[], entries: Object[] }|null} null if nothing was readable
+ */
+function readImportSource(from, filePath) {
+  const importer = IMPORTERS[from];
+  if (!importer) {
+    fail('INVALID_OPTION', `Unknown import source: ${from}`, `   Use --from=${Object.keys(IMPORTERS).join('|')}`);
+  }
+
+  let paths;
+  if (filePath) {
+    paths = [path.resolve(filePath)];
+    if (!fs.existsSync(paths[0])) {
+      fail('NO_CONFIG', `File not found: ${paths[0]}`);
+    }
+  } else {
+    paths = importer.defaultPaths();
+    if (paths.length === 0) {
+      fail('MISSING_ARGUMENT', `Please provide the ${importer.label} file to import`, `   Usage: ccr-model import --from=${from} <path>`);
+    }
+    // Default locations are optional; a missing one is not an error
+    if (from !== 'cc-switch') paths = paths.filter(p => fs.existsSync(p));
+  }
+
+  const entries = [];
+  let readable = false;
+  for (const filePath of paths) {
+    let fileEntries;
+    try {
+      fileEntries = importer.read(filePath);
+    } catch (e) {
+      log(`Cannot read ${filePath}: ${e.message}`, 'warning');
+      continue;
+    }
+    if (!fileEntries) continue;
+    readable = true;
+    entries.push(...fileEntries);
+  }
+
+  return readable ? { label: importer.label, paths, entries } : null;
+}
+
+/**
+ * Valid providers from an import source, in CCR format.
+ * @returns {Object[]|null} null if the source could not be read
+ */
+function getImportedProviders(from, filePath) {
+  const source = readImportSource(from, filePath);
+  if (!source) return null;
+
+  return source.entries
+    .map(translateImportEntry)
+    .filter(t => !t.skipped)
+    .map(t => t.provider);
+}
+
+// Model variables Claude Code reads besides ANTHROPIC_MODEL
+const ANTHROPIC_MODEL_VARS = [
+  'ANTHROPIC_MODEL',
+  'ANTHROPIC_SMALL_FAST_MODEL',
+  'ANTHROPIC_DEFAULT_OPUS_MODEL',
+  'ANTHROPIC_DEFAULT_SONNET_MODEL',
+  'ANTHROPIC_DEFAULT_HAIKU_MODEL'
+];
+
+// <PREFIX>_BASE_URL / _API_KEY / _MODEL(S) groups, e.g. DEEPSEEK_BASE_URL + DEEPSEEK_API_KEY
+const ENV_PROVIDER_VAR = /^([A-Z0-9_]+?)_(BASE_URL|API_BASE|API_KEY|AUTH_TOKEN|MODELS|MODEL)$/;
+
+/**
+ * Build import entries from environment variables. Every prefix with a base
+ * URL is one provider; ANTHROPIC_* is named after its host.
+ */
+function entriesFromEnv(env, sourceLabel) {
+  const groups = {};
+  for (const [key, value] of Object.entries(env || {})) {
+    const match = key.match(ENV_PROVIDER_VAR);
+    if (!match || !value) continue;
+    groups[match[1]] = groups[match[1]] || {};
+    groups[match[1]][match[2]] = String(value);
+  }
+
+  const entries = [];
+  for (const [prefix, vars] of Object.entries(groups)) {
+    const baseUrl = vars.BASE_URL || vars.API_BASE;
+    // A key on its own is not enough to build a provider
+    if (!baseUrl) continue;
+
+    const models = prefix === 'ANTHROPIC'
+      ? ANTHROPIC_MODEL_VARS.map(v => env[v]).filter(Boolean)
+      : (vars.MODELS || vars.MODEL || '').split(',').map(m => m.trim()).filter(Boolean);
+    entries.push({
+      source: `${sourceLabel}: ${prefix}_*`,
+      name: prefix === 'ANTHROPIC' ? nameFromUrl(baseUrl) : prefix.toLowerCase(),
+      baseUrl,
+      apiKey: vars.API_KEY || vars.AUTH_TOKEN || '',
+      models: [...new Set(models)]
+    });
+  }
+  return entries;
+}
+
+/**
+ * Provider name from a URL: "https://open.bigmodel.cn/api" → "bigmodel"
+ */
+function nameFromUrl(baseUrl) {
+  let hostname;
+  try {
+    hostname = new URL(baseUrl).hostname;
+  } catch (e) {
+    return 'imported';
+  }
+  const labels = hostname.split('.');
+  if (/^[\d.]+$/.test(hostname) || labels.length < 2) return hostname;
+  return labels[labels.length - 2];
+}
+
+/**
+ * Parse a .env file: KEY=value lines, optional `export`, quotes and comments.
+ */
+function parseDotenv(text) {
+  const env = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) continue;
+
+    let value = match[2].trim();
+    const quote = value[0];
+    const end = quote === '"' || quote === "'" ? value.indexOf(quote, 1) : -1;
+    if (end > 0) {
+      value = value.slice(1, end);
+      if (quote === '"') value = value.replace(/\\n/g, '\n');
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    env[match[1]] = value;
+  }
+  return env;
+}
+
+// Endpoints for LiteLLM providers whose model entries omit api_base
+const LITELLM_DEFAULT_BASES = {
+  openai: 'https://api.openai.com/v1',
+  anthropic: 'https://api.anthropic.com',
+  deepseek: 'https://api.deepseek.com',
+  openrouter: 'https://openrouter.ai/api/v1'
+};
+
+/**
+ * Build import entries from a LiteLLM proxy config (`model_list`). Models are
+ * grouped into one provider per endpoint and key; "openai/gpt-4o" is served
+ * as "gpt-4o" by the "openai" provider.
+ */
+function readLiteLLMEntries(filePath) {
+  const doc = parseSimpleYaml(fs.readFileSync(filePath, 'utf-8'));
+  if (!doc || !Array.isArray(doc.model_list)) {
+    throw new Error('no model_list found');
+  }
+
+  const groups = new Map();
+  for (const item of doc.model_list) {
+    const params = (item && item.litellm_params) || {};
+    if (!params.model) continue;
+
+    const parts = String(params.model).split('/');
+    const providerType = parts.length > 1 ? parts[0] : '';
+    const model = parts.length > 1 ? parts.slice(1).join('/') : parts[0];
+    const base = params.api_base || LITELLM_DEFAULT_BASES[providerType] || '';
+    // CCR wants the full endpoint for OpenAI-style APIs
+    const baseUrl = !base || providerType === 'anthropic' || /\/chat\/completions\/?$/.test(base)
+      ? base
+      : `${base.replace(/\/+$/, '')}/chat/completions`;
+    const apiKey = resolveLiteLLMSecret(params.api_key);
+
+    const key = JSON.stringify([providerType, baseUrl, apiKey]);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        source: `${path.basename(filePath)}: ${base || providerType || model}`,
+        name: params.api_base ? nameFromUrl(params.api_base) : (providerType || 'litellm'),
+        baseUrl,
+        apiKey,
+        models: []
+      });
+    }
+    const entry = groups.get(key);
+    if (!entry.models.includes(model)) entry.models.push(model);
+  }
+
+  // Same host with different keys: keep both providers apart
+  const entries = [...groups.values()];
+  const seen = {};
+  for (const entry of entries) {
+    seen[entry.name] = (seen[entry.name] || 0) + 1;
+    if (seen[entry.name] > 1) entry.name += `-${seen[entry.name]}`;
+  }
+  return entries;
+}
+
+/**
+ * LiteLLM reads secrets from the environment with "os.environ/NAME".
+ */
+function resolveLiteLLMSecret(value) {
+  if (!value) return '';
+  const match = String(value).match(/^os\.environ\/(.+)$/);
+  return match ? (process.env[match[1]] || '') : String(value);
+}
+
+/**
+ * Parse the subset of YAML used by LiteLLM configs: block mappings and
+ * sequences, plain and quoted scalars, comments. Anchors, block scalars and
+ * multi-document files are not supported.
+ */
+function parseSimpleYaml(text) {
+  const lines = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const line = stripYamlComment(raw).replace(/\s+$/, '');
+    if (!line.trim() || line.trim() === '---') continue;
+    lines.push({ indent: line.search(/\S/), text: line.trim() });
+  }
+
+  let i = 0;
+  const isItem = text => text === '-' || text.startsWith('- ');
+
+  const parseBlock = minIndent => {
+    if (i >= lines.length || lines[i].indent < minIndent) return null;
+    const indent = lines[i].indent;
+
+    if (isItem(lines[i].text)) {
+      const list = [];
+      while (i < lines.length && lines[i].indent === indent && isItem(lines[i].text)) {
+        const rest = lines[i].text.slice(1).trim();
+        if (!rest) {
+          i++;
+          list.push(parseBlock(indent + 1));
+        } else if (/^[^'"[{][^:]*:(\s|$)|^("[^"]*"|'[^']*'):(\s|$)/.test(rest)) {
+          // "- key: value" opens a mapping indented past the dash
+          lines[i] = { indent: indent + lines[i].text.indexOf(rest), text: rest };
+          list.push(parseBlock(lines[i].indent));
+        } else {
+          i++;
+          list.push(parseYamlScalar(rest));
+        }
+      }
+      return list;
+    }
+
+    const map = {};
+    while (i < lines.length && lines[i].indent === indent && !isItem(lines[i].text)) {
+      const match = lines[i].text.match(/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+      if (!match) throw new Error(`Cannot parse YAML line: ${lines[i].text}`);
+      i++;
+      const key = String(parseYamlScalar(match[1]));
+      if (match[2] !== undefined) {
+        map[key] = parseYamlScalar(match[2]);
+      } else if (i < lines.length && lines[i].indent === indent && isItem(lines[i].text)) {
+        // Sequences may sit at the same indentation as their key
+        map[key] = parseBlock(indent);
+      } else {
+        map[key] = parseBlock(indent + 1);
+      }
+    }
+    return map;
+  };
+
+  const doc = parseBlock(0);
+  if (i < lines.length) {
+    throw new Error(`Unsupported YAML near: ${lines[i].text}`);
+  }
+  return doc;
+}
+
+function stripYamlComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function parseYamlScalar(value) {
+  if (value.startsWith('"') && value.endsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (/^(null|~)$/.test(value)) return null;
+  if (/^(true|false)$/.test(value)) return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (/^[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      // Flow collections with unquoted strings are kept as text
+    }
+  }
+  return value;
+}
+
+// ============ Import Mapping Rules ============
+//
+// Users can extend (and override) the built-in name and transformer tables
+// below with IMPORT_MAPPING_PATH:
+//
+//   {
+//     "names": { "My Gateway": "gw" },
+//     "transformers": [ { "match": "gateway\\.example\\.com", "use": ["openrouter"] } ],
+//     "default": ["deepseek"],
+//     "models": { "glm-5": { "use": [["maxtoken", { "max_tokens": 16384 }]] } }
+//   }
+//
+// "match" is a case-insensitive regex tested against the base URL; "models"
+// adds CCR per-model transformer options to any provider serving that model.
+
+const IMPORT_MAPPING_PATH = path.join(process.env.HOME, '.claude-code-router', 'import-mapping.json');
+
+let importMapping = null;
+
+function getImportMapping() {
+  if (importMapping) return importMapping;
+
+  let data = {};
+  if (fs.existsSync(IMPORT_MAPPING_PATH)) {
+    data = readJSONFile(IMPORT_MAPPING_PATH);
+    if (!data) {
+      fail('INVALID_CONFIG', `Import mapping file is not valid JSON: ${IMPORT_MAPPING_PATH}`);
+    }
+  }
+
+  const transformers = (data.transformers || []).map((rule, i) => {
+    if (!rule || typeof rule.match !== 'string' || !Array.isArray(rule.use) || rule.use.length === 0) {
+      fail('INVALID_CONFIG', `transformers[${i}] in ${IMPORT_MAPPING_PATH} needs "match" and a non-empty "use" list`);
+    }
+    try {
+      return { ...rule, regex: new RegExp(rule.match, 'i') };
+    } catch (e) {
+      fail('INVALID_CONFIG', `transformers[${i}] in ${IMPORT_MAPPING_PATH}: ${e.message}`);
+    }
+  });
+
+  importMapping = {
+    names: data.names || {},
+    transformers,
+    default: Array.isArray(data.default) && data.default.length > 0 ? data.default : null,
+    models: data.models || {}
   };
+  return importMapping;
+}
 
-  // Check known mappings first
-  if (knownMappings[ccSwitchName]) {
-    return knownMappings[ccSwitchName];
+// Built-in cc-switch name → CCR provider name mappings
+const KNOWN_PROVIDER_NAMES = {
+  'Zhipu GLM': 'glm',
+  'DouBaoSeed': 'doubao',
+  'Xiaomi MiMo': 'mimo',
+  'OpenRouter': 'openrouter',
+  'Kimi For Coding': 'kimi',
+  'MiniMax': 'minimax',
+  'AntigravityTool': 'antigravity',
+  'CCR Router': 'ccr'
+};
+
+/**
+ * @returns {{ name: string, rule: string }} rule: where the name came from
+ */
+function translateProviderName(ccSwitchName) {
+  const userNames = getImportMapping().names;
+  if (userNames[ccSwitchName]) {
+    return { name: userNames[ccSwitchName], rule: 'mapping file' };
+  }
+  if (KNOWN_PROVIDER_NAMES[ccSwitchName]) {
+    return { name: KNOWN_PROVIDER_NAMES[ccSwitchName], rule: 'built-in' };
   }
 
   // Dynamic fallback: normalize the name
   // 1. Convert to lowercase
   // 2. Replace spaces with hyphens
   // 3. Remove special characters except hyphens
-  return ccSwitchName
+  const name = ccSwitchName
     .toLowerCase()
     .replace(/\s+/g, '-')
     .replace(/[^a-z0-9-]/g, '')
     .replace(/-+/g, '-')
     .replace(/^-|-$/g, '');
+  return { name, rule: 'normalized' };
+}
+
+function mapProviderName(ccSwitchName) {
+  return translateProviderName(ccSwitchName).name;
+}
+
+/**
+ * Build a CCR transformer config for a provider: user URL rules first, then
+ * the built-in patterns, then the default; plus per-model options.
+ *
+ * @returns {{ transformer: Object, rule: string }}
+ */
+function translateTransformer(name, baseUrl, models = []) {
+  const mapping = getImportMapping();
+  let use = null;
+  let rule = null;
+
+  const userRule = baseUrl && mapping.transformers.find(r => r.regex.test(baseUrl));
+  if (userRule) {
+    use = userRule.use;
+    rule = `mapping file: /${userRule.match}/`;
+  } else {
+    const builtIn = detectTransformer(name, baseUrl);
+    if (builtIn) {
+      use = [builtIn.transformer];
+      rule = `built-in: "${builtIn.pattern}"`;
+    } else if (mapping.default) {
+      use = mapping.default;
+      rule = 'mapping file: default';
+    } else {
+      use = ['deepseek'];
+      rule = 'default';
+    }
+  }
+
+  const transformer = { use };
+  for (const model of models) {
+    if (mapping.models[model]) {
+      transformer[model] = mapping.models[model];
+      rule += `; model options for ${model}`;
+    }
+  }
+  return { transformer, rule };
 }
 
 /**
  * Detect transformer type dynamically based on base URL patterns
+ * @returns {{ pattern: string, transformer: string }|null} null if no built-in pattern matches
  */
 function detectTransformer(name, baseUrl) {
-  if (!baseUrl) return 'deepseek';
+  if (!baseUrl) return null;
 
   const url = baseUrl.toLowerCase();
 
@@ -304,75 +1565,466 @@ function detectTransformer(name, baseUrl) {
     { pattern: 'xiaomi', transformer: 'deepseek' }
   ];
 
-  // Check each pattern
-  for (const { pattern, transformer } of patterns) {
-    if (url.includes(pattern)) {
-      return transformer;
-    }
+  return patterns.find(({ pattern }) => url.includes(pattern)) || null;
+}
+
+/**
+ * `import --show-mapping`: preview how each entry of an import source would
+ * be translated.
+ */
+function showImportMapping(from = 'cc-switch', filePath = null) {
+  const source = readImportSource(from, filePath);
+  if (!source) {
+    fail('NO_CONFIG', `Cannot read ${IMPORTERS[from].label} providers from ${filePath || IMPORTERS[from].defaultPaths().join(', ')}`);
   }
+  const existing = new Set((getCCRConfig()?.Providers || []).map(p => p.name));
+  const translated = source.entries.map(translateImportEntry).map(t => ({
+    ...t,
+    exists: existing.has(t.provider.name),
+    provider: { ...t.provider, api_key: t.provider.api_key ? '***' : '' }
+  }));
+
+  if (jsonOutput) return { from, paths: source.paths, mappingFile: IMPORT_MAPPING_PATH, rows: translated };
+
+  console.log(`Mapping rules: ${fs.existsSync(IMPORT_MAPPING_PATH) ? IMPORT_MAPPING_PATH : 'built-in only'}\n`);
+  for (const t of translated) {
+    const status = t.skipped ? `⏭️  skipped (${t.skipped})` : t.exists ? 'ℹ️  already in CCR' : '✅ would import';
+    console.log(`  ${t.source} → ${t.provider.name}  [${t.nameRule}]  ${status}`);
+    console.log(`    url:         ${t.provider.api_base_url || '(none)'}`);
+    console.log(`    models:      ${t.provider.models.join(', ') || '(none)'}`);
+    console.log(`    transformer: ${JSON.stringify(t.provider.transformer)}  [${t.transformerRule}]`);
+    console.log('');
+  }
+  if (translated.length === 0) {
+    console.log(`  No providers found in ${source.paths.join(', ')}.`);
+  }
+}
 
-  // Default transformer
-  return 'deepseek';
+// ============ cc-switch Sync ============
+//
+// `import --sync` is a three-way merge between the cc-switch rows ("theirs"),
+// the CCR providers ("ours") and the values recorded at the last sync or
+// export ("base", in CC_SWITCH_SYNC_STATE_PATH). A field is only overwritten
+// when it changed in cc-switch since the last sync, so edits made in CCR and
+// CCR-only fields (transformer overrides, extra models) survive.
+
+const CC_SWITCH_SYNC_STATE_PATH = path.join(process.env.HOME, '.claude-code-router', 'cc-switch-sync.json');
+const SYNCED_FIELDS = ['api_base_url', 'api_key'];
+
+function getSyncState() {
+  return readJSONFile(CC_SWITCH_SYNC_STATE_PATH)?.providers || {};
 }
 
-function importFromCCSwitch(config) {
-  log('Importing providers from cc-switch...', 'action');
+/**
+ * Read-modify-write the sync state under its lock. It holds api_key values,
+ * so it is only readable by the owner, including a file written before.
+ */
+function updateSyncStateFile(mutate) {
+  if (dryRun) return;
+  withFileLock(CC_SWITCH_SYNC_STATE_PATH, () => {
+    const providers = { ...getSyncState() };
+    mutate(providers);
+    writeFileAtomic(CC_SWITCH_SYNC_STATE_PATH, JSON.stringify({ ts: Date.now(), providers }, null, 2), 0o600);
+    fs.chmodSync(CC_SWITCH_SYNC_STATE_PATH, 0o600);
+  });
+}
 
-  const ccSwitchProviders = getCCSwitchProviders();
-  if (!ccSwitchProviders || ccSwitchProviders.length === 0) {
-    log('No valid providers found in cc-switch', 'warning');
-    return false;
-  }
+/**
+ * Record the synced fields of these providers as the new base.
+ * @param {Object<string, Object|null>} providers - name → provider (null drops it)
+ */
+function updateSyncState(providers) {
+  updateSyncStateFile(state => {
+    for (const [name, provider] of Object.entries(providers)) {
+      if (!provider) {
+        delete state[name];
+        continue;
+      }
+      state[name] = {
+        ...(state[name]?.from && { from: state[name].from }),
+        api_base_url: provider.api_base_url,
+        api_key: provider.api_key,
+        models: [...(provider.models || [])]
+      };
+    }
+  });
+}
 
-  // Merge with existing providers
-  config.Providers = config.Providers || [];
-  const existingNames = new Set(config.Providers.map(p => p.name));
+/**
+ * Carry a renamed provider's base over, remembering the name its cc-switch
+ * row imports as ("from"), so the next `import --sync` matches the row to the
+ * renamed provider instead of re-adding it under the old name.
+ */
+function renameSyncState(oldName, newName) {
+  if (!getSyncState()[oldName]) return;
+  updateSyncStateFile(state => {
+    if (!state[oldName]) return;
+    const entry = { ...state[oldName], from: state[oldName].from || oldName };
+    if (entry.from === newName) delete entry.from;
+    state[newName] = entry;
+    delete state[oldName];
+  });
+}
 
-  let imported = 0;
-  for (const provider of ccSwitchProviders) {
-    if (!existingNames.has(provider.name)) {
-      config.Providers.push(provider);
-      imported++;
+/**
+ * cc-switch provider name → CCR name, for providers renamed since their sync.
+ */
+function getSyncRenames(base) {
+  return new Map(Object.entries(base).filter(([, was]) => was?.from).map(([name, was]) => [was.from, name]));
+}
+
+/**
+ * Diff cc-switch providers against CCR.
+ * @returns {{ added: Object[], changed: Array<{ name: string, fields: Array<{ field: string, from: *, to: * }> }>, removed: string[] }}
+ */
+function planCCSwitchSync(config, incoming, base) {
+  const added = [];
+  const changed = [];
+  const removed = [];
+
+  for (const theirs of incoming) {
+    const ours = findProvider(config, theirs.name);
+    if (!ours) {
+      added.push(theirs);
+      continue;
+    }
+
+    // Without a base (first sync) cc-switch wins wherever it differs
+    const was = base[theirs.name];
+    const fields = [];
+    for (const field of SYNCED_FIELDS) {
+      const theirsChanged = !was || was[field] !== theirs[field];
+      if (theirsChanged && ours[field] !== theirs[field]) {
+        fields.push({ field, from: ours[field], to: theirs[field] });
+      }
+    }
+
+    // Models dropped in cc-switch since the last sync go; CCR-only models stay
+    const dropped = was ? (was.models || []).filter(m => !theirs.models.includes(m)) : [];
+    const models = (ours.models || []).filter(m => !dropped.includes(m));
+    theirs.models.forEach(m => { if (!models.includes(m)) models.push(m); });
+    if (JSON.stringify(models) !== JSON.stringify(ours.models || [])) {
+      fields.push({ field: 'models', from: ours.models || [], to: models });
     }
+
+    if (fields.length > 0) changed.push({ name: theirs.name, fields });
   }
 
-  if (imported > 0) {
-    saveCCRConfig(config);
-    log(`Imported ${imported} provider(s) from cc-switch`, 'success');
-    return true;
-  } else {
-    log('All providers already exist in CCR config', 'info');
-    return true;
+  // Only providers that came from cc-switch are removed, never hand-added ones
+  const incomingNames = new Set(incoming.map(p => p.name));
+  for (const name of Object.keys(base)) {
+    if (!incomingNames.has(name) && findProvider(config, name)) removed.push(name);
   }
+
+  return { added, changed, removed };
 }
 
-// ============ Model Management ============
+function describeSyncField({ field, from, to }) {
+  if (field === 'api_key') return 'api_key changed';
+  if (field === 'models') {
+    const plus = to.filter(m => !from.includes(m)).map(m => `+${m}`);
+    const minus = from.filter(m => !to.includes(m)).map(m => `-${m}`);
+    return `models ${[...plus, ...minus].join(' ')}`;
+  }
+  return `${field} ${from || '(none)'} → ${to || '(none)'}`;
+}
 
-function getAllModels() {
+/**
+ * `import --sync`: bring CCR providers in line with cc-switch (added, changed
+ * and removed providers), after confirmation.
+ */
+function syncFromCCSwitch(args) {
+  const rows = readCCSwitchRows();
+  if (!rows) {
+    fail('NO_CONFIG', `Cannot read cc-switch providers from ${CC_SWITCH_DB_PATH}`);
+  }
   const config = getCCRConfig();
-  if (!config) return [];
+  if (!config) {
+    fail('NO_CONFIG', 'Cannot read CCR config');
+  }
 
-  const models = [];
-  for (const provider of (config.Providers || [])) {
-    for (const model of (provider.models || [])) {
-      models.push({
-        provider: provider.name,
-        model: model,
-        fullName: `${provider.name}/${model}`
-      });
+  const base = getSyncState();
+  const renames = getSyncRenames(base);
+  const incoming = rows.map(translateCCSwitchRow).filter(t => !t.skipped).map(t => t.provider)
+    .map(p => (renames.has(p.name) ? { ...p, name: renames.get(p.name) } : p));
+  const plan = planCCSwitchSync(config, incoming, base);
+
+  // Removing a provider that roles still use needs --force, as with provider rm
+  const blocked = args.includes('--force')
+    ? []
+    : plan.removed.filter(name => findProviderReferences(config, name).length > 0);
+  plan.removed = plan.removed.filter(name => !blocked.includes(name));
+
+  const doc = {
+    added: plan.added.map(p => p.name),
+    changed: plan.changed.map(c => ({ name: c.name, fields: c.fields.map(f => f.field) })),
+    removed: plan.removed,
+    blocked,
+    applied: false,
+    restarted: false
+  };
+
+  say('🔄 cc-switch → CCR');
+  plan.added.forEach(p => say(`   + ${p.name} (${p.api_base_url}, models: ${p.models.join(', ')})`));
+  plan.changed.forEach(c => say(`   ~ ${c.name}: ${c.fields.map(describeSyncField).join('; ')}`));
+  plan.removed.forEach(name => say(`   - ${name} (no longer in cc-switch)`));
+  blocked.forEach(name => log(`${name} was removed from cc-switch but is still used by Router roles; re-run with --force to remove it`, 'warning'));
+  for (const change of plan.changed) {
+    const models = change.fields.find(f => f.field === 'models');
+    const dropped = models ? models.from.filter(m => !models.to.includes(m)) : [];
+    const dangling = dropped.length > 0 ? findProviderReferences(config, change.name, dropped) : [];
+    if (dangling.length > 0) {
+      log(`Models dropped from ${change.name} are still referenced by ${dangling.length} role(s):`, 'warning');
+      dangling.forEach(r => say(`   ${r.path.replace(process.env.HOME, '~')}: ${formatRoleRef(r)} = ${ccrFormatToDisplay(r.value)}`));
     }
   }
-  return models;
-}
 
-// ============ Dynamic Alias Generation ============
+  // Blocked providers stay in the base so they are offered again next time
+  const nextBase = Object.fromEntries(incoming.map(p => [p.name, p]));
+  plan.removed.forEach(name => { nextBase[name] = null; });
 
-// Cache for dynamically generated aliases
-let dynamicAliases = null;
-let lastConfigHash = null;
+  if (plan.added.length + plan.changed.length + plan.removed.length === 0) {
+    say('✅ CCR providers are in sync with cc-switch');
+    updateSyncState(nextBase);
+    return doc;
+  }
 
-/**
- * Generate aliases for a model name dynamically
+  if (!dryRun && !confirm('Apply these changes to CCR?', args)) {
+    say('No changes made. Re-run with --yes to apply without prompting.');
+    return doc;
+  }
+
+  let references = [];
+  let removed = [];
+  const dropRefs = (role, value) => (removed.includes(value.split(',')[0]) ? null : undefined);
+  updateCCRConfig(latest => {
+    if (!latest) {
+      fail('NO_CONFIG', 'Cannot read CCR config');
+    }
+    // Re-plan against the latest config so concurrent edits are kept
+    const fresh = planCCSwitchSync(latest, incoming, base);
+    fresh.removed = fresh.removed.filter(name => !blocked.includes(name));
+
+    latest.Providers = latest.Providers || [];
+    fresh.added.forEach(p => latest.Providers.push(p));
+    for (const change of fresh.changed) {
+      const provider = findProvider(latest, change.name);
+      change.fields.forEach(f => { provider[f.field] = f.to; });
+    }
+    removed = fresh.removed;
+    if (removed.length > 0) {
+      latest.Providers = latest.Providers.filter(p => !removed.includes(p.name));
+      references = mapRouterRoles(latest, dropRefs).map(c => ({ path: CCR_CONFIG_PATH, level: 'global', ...c }));
+    }
+    return latest;
+  });
+  if (removed.length > 0) {
+    references.push(...rewriteOverrideReferences(dropRefs));
+  }
+  updateSyncState(nextBase);
+
+  say(`✅ Synced: +${plan.added.length} ~${plan.changed.length} -${plan.removed.length}`);
+  if (references.length > 0) {
+    say(`   Removed ${references.length} role reference(s):`);
+    printReferenceChanges(references);
+  }
+  doc.applied = true;
+  doc.references = references;
+  doc.restarted = requestDaemonRestart();
+  return doc;
+}
+
+/**
+ * cc-switch settings_config for a CCR provider, keeping everything else in
+ * the row (other env vars, the selected model if CCR still serves it).
+ */
+function toCCSwitchSettings(settings, provider) {
+  const env = { ...(settings.env || {}) };
+  env.ANTHROPIC_BASE_URL = provider.api_base_url;
+  if ('ANTHROPIC_API_KEY' in env && !('ANTHROPIC_AUTH_TOKEN' in env)) {
+    env.ANTHROPIC_API_KEY = provider.api_key;
+  } else {
+    env.ANTHROPIC_AUTH_TOKEN = provider.api_key;
+  }
+  const models = provider.models || [];
+  if (models.length > 0 && !models.includes(env.ANTHROPIC_MODEL)) {
+    env.ANTHROPIC_MODEL = models[0];
+  }
+  return { ...settings, env };
+}
+
+/**
+ * cc-switch display name for a CCR provider: the reverse of the name mapping.
+ */
+function toCCSwitchName(providerName) {
+  const mapping = { ...KNOWN_PROVIDER_NAMES, ...getImportMapping().names };
+  return Object.keys(mapping).find(name => mapping[name] === providerName) || providerName;
+}
+
+function sqlQuote(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * `export [name ...]`: write CCR providers back into the cc-switch database.
+ * Rows that map to a CCR provider are updated; named providers without a row
+ * are inserted. The database is backed up first.
+ */
+function exportToCCSwitch(args) {
+  const names = args.slice(1).filter(a => !a.startsWith('-'));
+  const config = getCCRConfig();
+  if (!config) {
+    fail('NO_CONFIG', 'Cannot read CCR config');
+  }
+  for (const name of names) {
+    if (!findProvider(config, name)) {
+      fail('PROVIDER_NOT_FOUND', `Provider not found: ${name}`);
+    }
+  }
+  const rows = readCCSwitchRows();
+  if (!rows) {
+    fail('NO_CONFIG', `Cannot read cc-switch providers from ${CC_SWITCH_DB_PATH}`);
+  }
+
+  const renames = getSyncRenames(getSyncState());
+  const rowsByProvider = new Map(rows.map(r => {
+    const name = translateProviderName(r.name).name;
+    return [renames.get(name) || name, r];
+  }));
+  const updates = [];
+  const inserts = [];
+  for (const provider of config.Providers || []) {
+    if (names.length > 0 && !names.includes(provider.name)) continue;
+    const row = rowsByProvider.get(provider.name);
+    if (!row) {
+      // Only create rows on request: not every CCR provider speaks the Anthropic API
+      if (names.includes(provider.name)) {
+        inserts.push({ provider, name: toCCSwitchName(provider.name), settings: toCCSwitchSettings({}, provider) });
+      }
+      continue;
+    }
+    const settings = toCCSwitchSettings(row.config, provider);
+    if (JSON.stringify(settings) !== JSON.stringify(row.config)) {
+      updates.push({ provider, row, settings });
+    }
+  }
+
+  const doc = {
+    updated: updates.map(u => u.provider.name),
+    inserted: inserts.map(i => i.provider.name),
+    applied: false,
+    backup: null
+  };
+
+  say('🔄 CCR → cc-switch');
+  updates.forEach(u => say(`   ~ ${u.row.name} ← ${u.provider.name} (${u.settings.env.ANTHROPIC_BASE_URL}, model: ${u.settings.env.ANTHROPIC_MODEL})`));
+  inserts.forEach(i => say(`   + ${i.name} ← ${i.provider.name} (${i.settings.env.ANTHROPIC_BASE_URL}, model: ${i.settings.env.ANTHROPIC_MODEL})`));
+
+  if (updates.length + inserts.length === 0) {
+    say('✅ cc-switch is up to date');
+    return doc;
+  }
+  if (!confirm('Write these changes to the cc-switch database?', args)) {
+    say('No changes made. Re-run with --yes to apply without prompting.');
+    return doc;
+  }
+
+  // Committed changes may still sit in the -wal file: back it (and -shm) up too
+  const backup = `${CC_SWITCH_DB_PATH}.bak-${Date.now()}`;
+  fs.copyFileSync(CC_SWITCH_DB_PATH, backup);
+  for (const suffix of ['-wal', '-shm']) {
+    if (fs.existsSync(CC_SWITCH_DB_PATH + suffix)) {
+      fs.copyFileSync(CC_SWITCH_DB_PATH + suffix, backup + suffix);
+    }
+  }
+
+  const statements = [
+    ...updates.map(u =>
+      `UPDATE providers SET settings_config = ${sqlQuote(JSON.stringify(u.settings))} WHERE id = ${sqlQuote(u.row.id)} AND app_type = 'claude';`),
+    ...inserts.map(i =>
+      `INSERT INTO providers (id, app_type, name, settings_config) VALUES (${sqlQuote(crypto.randomUUID())}, 'claude', ${sqlQuote(i.name)}, ${sqlQuote(JSON.stringify(i.settings))});`)
+  ];
+  try {
+    writeCCSwitchDb(statements);
+  } catch (e) {
+    fail('EXPORT_FAILED', `Could not write to ${CC_SWITCH_DB_PATH}: ${e.message}`,
+      `   The database was not changed. Backup: ${backup}`);
+  }
+
+  // The new base is what cc-switch now holds: one selected model per row
+  updateSyncState(Object.fromEntries([...updates, ...inserts].map(x => [x.provider.name, {
+    ...x.provider,
+    models: x.settings.env.ANTHROPIC_MODEL ? [x.settings.env.ANTHROPIC_MODEL] : []
+  }])));
+  say(`✅ Exported ${updates.length + inserts.length} provider(s) to cc-switch`);
+  say(`   Backup: ${backup}`);
+  say('   Restart cc-switch if it is running so it picks up the changes');
+  doc.applied = true;
+  doc.backup = backup;
+  return doc;
+}
+
+/**
+ * Merge imported providers into config (in place). The caller saves it.
+ * Providers whose name already exists are left alone.
+ * @returns {number|false} number of providers added, or false if none were found
+ */
+function mergeImportedProviders(config, providers, label) {
+  log(`Importing providers from ${label}...`, 'action');
+
+  if (!providers || providers.length === 0) {
+    log(`No valid providers found in ${label}`, 'warning');
+    return false;
+  }
+
+  // Merge with existing providers
+  config.Providers = config.Providers || [];
+  const existingNames = new Set(config.Providers.map(p => p.name));
+
+  let imported = 0;
+  for (const provider of providers) {
+    if (!existingNames.has(provider.name)) {
+      config.Providers.push(provider);
+      existingNames.add(provider.name);
+      imported++;
+    }
+  }
+
+  if (imported > 0) {
+    log(`Imported ${imported} provider(s) from ${label}`, 'success');
+  } else {
+    log('All providers already exist in CCR config', 'info');
+  }
+  return imported;
+}
+
+// ============ Model Management ============
+
+function getAllModels() {
+  const config = getCCRConfig();
+  if (!config) return [];
+
+  const models = [];
+  for (const provider of (config.Providers || [])) {
+    for (const model of (provider.models || [])) {
+      models.push({
+        provider: provider.name,
+        model: model,
+        fullName: `${provider.name}/${model}`
+      });
+    }
+  }
+  return models;
+}
+
+// ============ Dynamic Alias Generation ============
+
+// Cache for dynamically generated aliases
+let dynamicAliases = null;
+let lastConfigHash = null;
+
+/**
+ * Generate aliases for a model name dynamically
  * Examples:
  *   "glm-5" -> ["glm5", "g5"]
  *   "MiniMax-M2.5" -> ["minimaxm2.5", "minimaxm25", "m2.5", "m25", "mm2.5"]
@@ -532,17 +2184,74 @@ function getDynamicAliases() {
   return dynamicAliases;
 }
 
+// Score for a typo match by edit distance; below every substring/alias rule.
+// Distance 0: the query differs from the name only in separators.
+const TYPO_SCORES = { 0: 58, 1: 55, 2: 45, 3: 35 };
+// A typo of one part of a name (e.g. "glm" in "glm-4.7") ranks below a typo
+// of the whole name: "glm5" must not tie glm-4.7 with a misspelt glm-5
+const PART_TYPO_PENALTY = 10;
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment variant): insertions,
+ * deletions, substitutions and transpositions of adjacent characters each cost 1.
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Closest target within the typo budget for the query's length
+ * (1 edit up to 4 characters, 2 up to 8, 3 beyond). Separators are stripped
+ * from the targets first (the query comes without them), so "-" or "." never
+ * counts as an edit.
+ *
+ * @returns {{ target: string, distance: number }|null}
+ */
+function closestTypo(query, targets) {
+  if (query.length < 3) return null;
+  const budget = query.length <= 4 ? 1 : query.length <= 8 ? 2 : 3;
+
+  let best = null;
+  for (const target of new Set(targets)) {
+    const normalized = target && target.replace(/[-_\s\.]/g, '');
+    if (!normalized || Math.abs(normalized.length - query.length) > budget) continue;
+    const distance = editDistance(query, normalized);
+    if (distance <= budget && (!best || distance < best.distance)) {
+      best = { target, distance };
+    }
+  }
+  return best;
+}
+
 function fuzzyMatch(models, query) {
   const { modelAliases, providerAliases } = getDynamicAliases();
+  const userAliases = getUserAliases();
   const lowerQuery = query.toLowerCase();
   const noSepQuery = lowerQuery.replace(/[-_\s\.]/g, '');
 
+  // User aliases win over everything generated
+  const userAliasTarget = userAliases.models[lowerQuery];
+
   // Check if query matches any alias directly
   const aliasMatch = modelAliases[noSepQuery] || modelAliases[lowerQuery];
 
-  // Score-based matching
+  // Score-based matching; `rule`/`detail` record why a model matched (query --explain)
   const scored = models.map(m => {
     let score = 0;
+    let rule = null;
+    let detail = '';
     const fullName = m.fullName.toLowerCase();
     const provider = m.provider.toLowerCase();
     const model = m.model.toLowerCase();
@@ -550,824 +2259,3099 @@ function fuzzyMatch(models, query) {
 
     // Generate aliases for this model
     const modelAls = generateModelAliases(m.model);
-    const pAls = providerAliases[m.provider] || generateProviderAliases(m.provider);
-
-    // Exact alias match (highest priority)
-    if (aliasMatch === m.fullName) {
+    const pAls = [
+      ...(providerAliases[m.provider] || generateProviderAliases(m.provider)),
+      ...Object.keys(userAliases.providers).filter(a => userAliases.providers[a] === m.provider)
+    ];
+
+    // User-defined alias (top priority)
+    if (userAliasTarget && userAliasTarget === m.fullName.replace('/', ',')) {
+      score = 110;
+      rule = 'user alias';
+      detail = `"${lowerQuery}" (see: ccr-model alias list)`;
+    }
+    // Exact alias match
+    else if (aliasMatch === m.fullName) {
       score = 100;
+      rule = 'alias';
+      detail = `"${query}" is an alias of ${m.fullName}`;
     }
     // Exact match (full name)
     else if (fullName === lowerQuery) {
       score = 100;
+      rule = 'exact';
+      detail = 'provider/model name';
     }
     // Exact match (model only)
     else if (model === lowerQuery || modelNoSep === noSepQuery) {
       score = 95;
+      rule = 'exact';
+      detail = 'model name';
     }
     // Model alias match
     else if (modelAls.includes(noSepQuery) || modelAls.includes(lowerQuery)) {
       score = 92;
+      rule = 'alias';
+      detail = 'generated model alias';
     }
     // Provider/model format match (e.g., "glm/glm-5")
     else if (lowerQuery.includes('/')) {
       const [p, mdl] = lowerQuery.split('/');
-      if (provider.includes(p) && model.includes(mdl)) score = 90;
-      else if (pAls.some(a => a.includes(p)) && model.includes(mdl)) score = 85;
+      if (provider.includes(p) && model.includes(mdl)) {
+        score = 90;
+        rule = 'substring';
+        detail = 'provider/model parts';
+      } else if (pAls.some(a => a.includes(p)) && model.includes(mdl)) {
+        score = 85;
+        rule = 'provider alias';
+        detail = 'provider alias + model part';
+      }
     }
     // Model contains query (without separators)
     else if (modelNoSep.includes(noSepQuery)) {
       score = 85;
+      rule = 'substring';
+      detail = 'model name without separators';
     }
     // Full name contains query
     else if (fullName.includes(lowerQuery)) {
       score = 80;
+      rule = 'substring';
+      detail = 'provider/model name';
     }
     // Model contains query
     else if (model.includes(lowerQuery)) {
       score = 75;
+      rule = 'substring';
+      detail = 'model name';
     }
     // Starts with query
     else if (fullName.startsWith(lowerQuery) || modelNoSep.startsWith(noSepQuery)) {
       score = 70;
+      rule = 'prefix';
     }
     else if (model.startsWith(lowerQuery)) {
       score = 68;
+      rule = 'prefix';
     }
     // Provider alias match
     else if (pAls.includes(noSepQuery) || pAls.includes(lowerQuery)) {
       score = 65;
+      rule = 'provider alias';
+    }
+    // Provider match
+    else if (provider === lowerQuery || provider.includes(lowerQuery)) {
+      score = 60;
+      rule = 'provider';
+    }
+    // Fuzzy match (any part matches), or a typo of the name or an alias
+    else {
+      const queryParts = noSepQuery.split(/[\s\-_\/]+/).filter(p => p && p.length >= 2);
+      let matchCount = 0;
+
+      for (const part of queryParts) {
+        if (modelNoSep.includes(part) || modelAls.some(a => a.includes(part))) {
+          matchCount++;
+        } else if (pAls.some(a => a.includes(part))) {
+          matchCount += 0.5;
+        }
+      }
+
+      score = matchCount * 20;
+      if (score > 0) rule = 'partial';
+
+      const typo = closestTypo(noSepQuery, [modelNoSep, ...modelAls]);
+      const partTypo = closestTypo(noSepQuery, model.split(/[-_\s\.]+/));
+      const typoScore = typo ? TYPO_SCORES[typo.distance] : 0;
+      const partTypoScore = partTypo ? TYPO_SCORES[partTypo.distance] - PART_TYPO_PENALTY : 0;
+      if (Math.max(typoScore, partTypoScore) > score) {
+        const best = typoScore >= partTypoScore ? typo : partTypo;
+        score = Math.max(typoScore, partTypoScore);
+        rule = 'typo';
+        detail = `distance ${best.distance} to "${best.target}"${best === partTypo ? ' (part of the name)' : ''}`;
+      }
+    }
+
+    return { ...m, score, rule, detail };
+  });
+
+  // Filter out zero scores and sort by score descending
+  return scored.filter(m => m.score > 0).sort((a, b) => b.score - a.score);
+}
+
+// Candidates scoring within this many points of the best match are a tie
+const AMBIGUITY_MARGIN = 3;
+
+/**
+ * Pick the model a query refers to, refusing to guess between near-ties.
+ *
+ * When several models score within AMBIGUITY_MARGIN of the best match, a
+ * numbered picker is shown on a terminal; otherwise the command fails with
+ * AMBIGUOUS_MATCH and the candidate list. `--first` takes the top match anyway.
+ *
+ * @returns {{ selected: Object, candidates: Object[] }} candidates are all unique matches
+ */
+function selectModel(models, query, args) {
+  const candidates = [];
+  const seen = new Set();
+  for (const m of fuzzyMatch(models, query)) {
+    if (!seen.has(m.fullName)) {
+      seen.add(m.fullName);
+      candidates.push(m);
+    }
+  }
+
+  if (candidates.length === 0) {
+    fail('NO_MATCH', `No models found matching: ${query}`);
+  }
+
+  const tied = candidates.filter(m => candidates[0].score - m.score < AMBIGUITY_MARGIN);
+  if (tied.length === 1) {
+    return { selected: candidates[0], candidates };
+  }
+
+  if (args.includes('--first')) {
+    say(`⚠️  Multiple matches found. Using first match: ${candidates[0].fullName} (--first)\n`);
+    return { selected: candidates[0], candidates };
+  }
+
+  if (process.stdin.isTTY && !jsonOutput) {
+    console.log(`"${query}" matches several models equally well:`);
+    tied.forEach((m, i) => console.log(`  ${i + 1}. ${m.fullName}`));
+    const answer = promptLine(`Select [1-${tied.length}] (Enter to cancel): `);
+    const index = Number(answer);
+    if (Number.isInteger(index) && index >= 1 && index <= tied.length) {
+      return { selected: tied[index - 1], candidates };
+    }
+    fail('AMBIGUOUS_MATCH', 'No model selected; nothing was changed');
+  }
+
+  fail('AMBIGUOUS_MATCH', `"${query}" matches several models equally well; nothing was changed`,
+    tied.map((m, i) => `  ${i + 1}. ${m.fullName}`).join('\n') +
+      '\n   Use a more specific name (e.g. provider/model), or --first to take the first match',
+    { candidates: tied.map(m => m.fullName) });
+}
+
+// ============ Commands ============
+
+function listModels() {
+  const config = getCCRConfig();
+  if (!config) {
+    fail('NO_CONFIG', 'Cannot read CCR config');
+  }
+
+  const models = getAllModels();
+  const router = config.Router || {};
+  const settings = getClaudeSettings();
+
+  // Group by provider
+  const byProvider = {};
+  for (const m of models) {
+    if (!byProvider[m.provider]) byProvider[m.provider] = [];
+    byProvider[m.provider].push(m.model);
+  }
+
+  if (jsonOutput) {
+    return {
+      providers: Object.entries(byProvider).map(([name, modelList]) => ({ name, models: modelList })),
+      models: models.map(m => m.fullName),
+      router,
+      claudeModel: settings.model || null
+    };
+  }
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log('              Available Models in CCR');
+  console.log('═══════════════════════════════════════════════════\n');
+
+  if (Object.keys(byProvider).length === 0) {
+    log('No models configured!', 'warning');
+    console.log('Run: ccr-model import   to import from cc-switch');
+  } else {
+    for (const [provider, modelList] of Object.entries(byProvider)) {
+      console.log(`  ${provider}:`);
+      for (const model of modelList) {
+        console.log(`    - ${model}`);
+      }
+      console.log('');
+    }
+  }
+
+  // Show current router config
+  console.log('═══════════════════════════════════════════════════');
+  console.log('              Current Router Configuration');
+  console.log('═══════════════════════════════════════════════════\n');
+
+  console.log(`  Default Model:      ${router.default || 'N/A'}`);
+  console.log(`  Background Model:  ${router.background || 'N/A'}`);
+  console.log(`  Think Model:        ${router.think || 'N/A'}`);
+  console.log(`  Long Context Model: ${router.longContext || 'N/A'}`);
+  console.log(`  Web Search Model:   ${router.webSearch || 'N/A'}`);
+  console.log('');
+
+  // Show Claude settings model
+  console.log('═══════════════════════════════════════════════════');
+  console.log('              Claude Code Current Model');
+  console.log('═══════════════════════════════════════════════════\n');
+  console.log(`  Model: ${settings.model || 'default'}`);
+  console.log('');
+}
+
+function queryModels(query, explain = false) {
+  const models = getAllModels();
+  if (models.length === 0) {
+    if (jsonOutput) return { query, matches: [] };
+    log('No models available. Import from cc-switch first.', 'warning');
+    return;
+  }
+
+  const matches = fuzzyMatch(models, query);
+
+  // Show top matches
+  const uniqueMatches = [];
+  const seen = new Set();
+  for (const m of matches) {
+    if (!seen.has(m.fullName)) {
+      seen.add(m.fullName);
+      uniqueMatches.push(m);
+    }
+  }
+
+  if (jsonOutput) {
+    return {
+      query,
+      matches: uniqueMatches.map(m => ({
+        fullName: m.fullName,
+        provider: m.provider,
+        model: m.model,
+        score: m.score,
+        ...(explain ? { rule: m.rule, detail: m.detail } : {})
+      }))
+    };
+  }
+
+  if (matches.length === 0) {
+    console.log(`No models found matching: ${query}`);
+    console.log('\nAvailable models:');
+    listModels();
+    return;
+  }
+
+  console.log(`Found ${matches.length} model(s) matching: "${query}"\n`);
+
+  console.log('Matches:');
+  for (let i = 0; i < Math.min(uniqueMatches.length, 10); i++) {
+    const m = uniqueMatches[i];
+    const marker = i === 0 ? '▶' : ' ';
+    if (explain) {
+      const why = m.detail ? `${m.rule}: ${m.detail}` : m.rule;
+      console.log(`  ${marker} ${m.fullName.padEnd(32)} ${String(m.score).padStart(3)}  ${why}`);
+    } else {
+      console.log(`  ${marker} ${m.fullName} (score: ${m.score})`);
+    }
+  }
+
+  if (uniqueMatches.length > 10) {
+    console.log(`  ... and ${uniqueMatches.length - 10} more`);
+  }
+
+  console.log('');
+}
+
+// ============ Project & Session Level Config ============
+
+/**
+ * Get current project ID from the working directory (see resolveProjectId).
+ */
+function getCurrentProjectId(cwd) {
+  return resolveProjectId(cwd).projectId;
+}
+
+/**
+ * `projects [--resolve [path]]`: list the project index, or show how a path
+ * resolves to a project ID.
+ */
+function projectsCommand(args) {
+  if (args.some(a => a === '--resolve' || a.startsWith('--resolve='))) {
+    const target = getOption(args, 'resolve') || process.cwd();
+    const result = resolveProjectId(target);
+    const projectDir = result.projectId ? path.join(CCR_PROJECTS_DIR, result.projectId) : null;
+    const doc = {
+      path: path.resolve(target),
+      ...result,
+      claudeProjectExists: !!result.projectId && fs.existsSync(path.join(CLAUDE_PROJECTS_DIR, result.projectId)),
+      ccrProjectDir: projectDir,
+      ccrProjectConfig: !!projectDir && fs.existsSync(path.join(projectDir, 'config.json'))
+    };
+    if (jsonOutput) return doc;
+
+    const methods = {
+      index: `project index (${result.indexed})`,
+      encoded: 'encoded path',
+      parent: `project index, parent directory (${result.indexed})`,
+      folder: 'unique folder-name match'
+    };
+    console.log(`Path:        ${doc.path}`);
+    console.log(`Encoded:     ${result.encoded}`);
+    console.log(`Indexed:     ${result.indexed || '(no index entry)'}`);
+    if (result.candidates.length > 1) {
+      console.log(`Candidates:  ${result.candidates.join(', ')} (ambiguous, ignored)`);
+    }
+    if (!result.projectId) {
+      console.log('Project ID:  (not found)');
+      console.log('\n💡 Start a Claude Code session in this directory so the SessionStart hook records it');
+      return;
+    }
+    console.log(`Project ID:  ${result.projectId}  [${methods[result.method]}]`);
+    console.log(`Claude:      ${doc.claudeProjectExists ? '✅' : '❌'} ${path.join(CLAUDE_PROJECTS_DIR, result.projectId)}`);
+    console.log(`CCR config:  ${doc.ccrProjectConfig ? '✅' : '—'} ${path.join(projectDir, 'config.json')}`);
+    return;
+  }
+
+  const entries = Object.entries(readProjectIndex())
+    .map(([cwd, entry]) => ({ cwd, projectId: entry.projectId, ts: entry.ts || null }))
+    .sort((a, b) => (b.ts || 0) - (a.ts || 0));
+  if (jsonOutput) return { indexPath: PROJECT_INDEX_PATH, projects: entries };
+
+  if (entries.length === 0) {
+    console.log('No projects recorded yet. The SessionStart hook adds each directory Claude Code starts in.');
+    return;
+  }
+  console.log(`Projects (${PROJECT_INDEX_PATH}):\n`);
+  for (const entry of entries) {
+    const seen = entry.ts ? new Date(entry.ts).toISOString().slice(0, 16).replace('T', ' ') : '';
+    console.log(`  ${entry.cwd}`);
+    console.log(`    → ${entry.projectId}  ${seen}`);
+  }
+}
+
+/**
+ * Get current session ID with source information.
+ *
+ * Priority:
+ * 1. CLAUDE_CODE_SESSION_ID env var (set in MCP-CLI mode)
+ * 2. Session cache file written by show-model hook (keyed by Claude Code PID)
+ * 3. Fallback: most recently modified .jsonl file (unreliable with concurrent sessions)
+ *
+ * @returns {{ id: string, source: 'env'|'cache'|'mtime' } | null}
+ */
+function resolveSessionId() {
+  const envSessionId = process.env.CLAUDE_CODE_SESSION_ID;
+  if (envSessionId) {
+    return { id: envSessionId, source: 'env' };
+  }
+
+  const cachedId = getSessionIdFromCache();
+  if (cachedId) {
+    return { id: cachedId, source: 'cache' };
+  }
+
+  const mtimeId = getSessionIdByMtime(getCurrentProjectId());
+  if (mtimeId) {
+    return { id: mtimeId, source: 'mtime' };
+  }
+
+  return null;
+}
+
+/** Convenience wrapper that returns just the session ID string. */
+function getCurrentSessionId() {
+  const result = resolveSessionId();
+  return result ? result.id : null;
+}
+
+/**
+ * Walk up the process tree to find a session cache file written by the hook.
+ *
+ * Process chain: Claude Code (writes cache) → sh → node ccr-model.js
+ * The hook's process.ppid is Claude Code's PID, so we walk up from our PID
+ * until we find a matching cache file or reach PID 1.
+ */
+function getSessionIdFromCache() {
+  if (!fs.existsSync(SESSION_CACHE_DIR)) return null;
+
+  let pid = process.ppid;
+  const maxDepth = 5; // Claude Code is at most a few levels up
+
+  for (let i = 0; i < maxDepth && pid > 1; i++) {
+    const cachePath = path.join(SESSION_CACHE_DIR, `${pid}.json`);
+    if (fs.existsSync(cachePath)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+
+        // Validate the cached session is still alive (PID still running)
+        try {
+          process.kill(data.pid, 0);
+        } catch (e) {
+          // Process is dead, remove stale cache
+          try { fs.unlinkSync(cachePath); } catch (_) {}
+          return null;
+        }
+
+        return data.session_id;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    // Walk up: get parent PID of current pid
+    try {
+      const ppidStr = execSync(`ps -o ppid= -p ${pid}`, { encoding: 'utf-8' }).trim();
+      pid = parseInt(ppidStr, 10);
+      if (isNaN(pid)) break;
+    } catch (e) {
+      break;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fallback: Get session ID from the most recent .jsonl file.
+ * Unreliable when multiple sessions are open in the same directory.
+ */
+function getSessionIdByMtime(projectId) {
+  if (!projectId) return null;
+
+  const projectDir = path.join(CLAUDE_PROJECTS_DIR, projectId);
+
+  if (!fs.existsSync(projectDir)) return null;
+
+  const files = fs.readdirSync(projectDir)
+    .filter(f => f.endsWith('.jsonl'))
+    .sort((a, b) => {
+      const statA = fs.statSync(path.join(projectDir, a));
+      const statB = fs.statSync(path.join(projectDir, b));
+      return statB.mtimeMs - statA.mtimeMs;
+    });
+
+  if (files.length > 0) {
+    return files[0].replace('.jsonl', '');
+  }
+
+  return null;
+}
+
+const VALID_ROLES = ['default', 'think', 'longContext', 'webSearch', 'background', 'image'];
+
+const LEVEL_LABELS = {
+  global: '🌐 Global',
+  repo: '📦 Repo',
+  project: '📁 Project',
+  branch: '🌿 Branch',
+  session: '💬 Session'
+};
+
+function readJSONFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the override file CCR reads for a project or session level.
+ *
+ * @returns {{ path: string, projectId: string, sessionId: string|null } | null}
+ *          null when the current project (or session) cannot be determined
+ */
+function getLevelConfigPath(level) {
+  const projectId = getCurrentProjectId();
+  if (!projectId) return null;
+
+  if (level === 'project') {
+    return { path: path.join(CCR_PROJECTS_DIR, projectId, 'config.json'), projectId, sessionId: null };
+  }
+
+  const sessionId = getCurrentSessionId();
+  if (!sessionId) return null;
+  return { path: path.join(CCR_PROJECTS_DIR, projectId, `${sessionId}.json`), projectId, sessionId };
+}
+
+/**
+ * Enumerate every project/session override file under ~/.claude-code-router.
+ * Project directories are encoded absolute paths, so they start with "-";
+ * other entries (history/, logs/, ...) are skipped.
+ *
+ * @returns {Array<{ projectId: string, level: 'project'|'session',
+ *                   sessionId: string|null, path: string }>}
+ */
+function listOverrideFiles() {
+  if (!fs.existsSync(CCR_PROJECTS_DIR)) return [];
+
+  const files = [];
+  for (const entry of fs.readdirSync(CCR_PROJECTS_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory() || !entry.name.startsWith('-')) continue;
+
+    const dir = path.join(CCR_PROJECTS_DIR, entry.name);
+    for (const file of fs.readdirSync(dir)) {
+      if (!file.endsWith('.json')) continue;
+      const isProject = file === 'config.json';
+      files.push({
+        projectId: entry.name,
+        level: isProject ? 'project' : 'session',
+        sessionId: isProject ? null : file.slice(0, -'.json'.length),
+        path: path.join(dir, file)
+      });
+    }
+  }
+  return files;
+}
+
+/**
+ * Parse --role (`--role=think` or `--role think`) / -r=think and validate it
+ * against the known CCR roles.
+ * Returns null when no role was given (meaning "all roles"). A bare --role
+ * is an error unless allowBare (then it also means "all roles").
+ */
+function parseRoleArg(args, allowBare = false) {
+  const shortArg = args.find(a => a.startsWith('-r='));
+  const role = getOption(args, 'role') ?? (shortArg ? shortArg.slice('-r='.length) : null);
+
+  if (role === null && !allowBare && args.includes('--role')) {
+    fail('INVALID_ROLE', '--role needs a role name', `   Valid roles: ${VALID_ROLES.join(', ')}`);
+  }
+  if (role !== null && !VALID_ROLES.includes(role)) {
+    fail('INVALID_ROLE', `Unknown role: ${role || '(empty)'}`, `   Valid roles: ${VALID_ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+/**
+ * Write role → "provider,model" assignments into the Router of a config level.
+ * Other roles and settings in the file are left untouched.
+ *
+ * @param {'global'|'project'|'session'} level
+ * @param {Object<string, string>} updates - role → CCR-format model
+ * @returns {string} path of the file that was written
+ */
+function writeRouterAtLevel(level, updates) {
+  if (level === 'global') {
+    updateCCRConfig(config => {
+      if (!config) {
+        fail('NO_CONFIG', 'Cannot read CCR config');
+      }
+      config.Router = { ...(config.Router || {}), ...updates };
+      return config;
+    });
+    return CCR_CONFIG_PATH;
+  }
+
+  const target = getLevelConfigPath(level);
+  if (!target) {
+    if (level === 'project') {
+      fail('NO_PROJECT', 'Cannot determine current project. Make sure you are in a Claude Code project.');
+    }
+    fail('NO_SESSION', 'Cannot determine current project/session. Make sure you are in a Claude Code project with an active session.');
+  }
+
+  // Read or create level config; an unparseable file is replaced
+  updateConfigFile(target.path, level, levelConfig => {
+    levelConfig = levelConfig || {};
+    if (level === 'project') {
+      // An active branch override stays on top (see Branch Overrides)
+      setProjectBaseRouter(levelConfig, { ...getProjectBaseRouter(levelConfig), ...updates });
+    } else {
+      levelConfig.Router = { ...(levelConfig.Router || {}), ...updates };
+    }
+    return levelConfig;
+  });
+  return target.path;
+}
+
+/**
+ * Set model at project or session level
+ * CCR reads configs from ~/.claude-code-router/<project-id>/ directory
+ */
+function setModelAtLevel(query, args, level) {
+  const models = getAllModels();
+  if (models.length === 0) {
+    fail('NO_MODELS', 'No models available.', 'Try: ccr-model import   to import from cc-switch');
+  }
+
+  // Filter out option flags from query
+  const cleanQuery = query.replace(/--\S+/g, '').trim();
+  const { selected } = selectModel(models, cleanQuery, args);
+  const fullModelName = selected.fullName;
+  const ccrFormat = fullModelName.replace('/', ',');
+
+  const role = parseRoleArg(args);
+  const roles = role ? [role] : VALID_ROLES;
+  const levelName = level === 'project' ? 'Project-level' : 'Session-level';
+
+  const updates = {};
+  for (const r of roles) {
+    updates[r] = ccrFormat;
+  }
+  const configPath = writeRouterAtLevel(level, updates);
+
+  say(role
+    ? `✅ ${levelName}: Set role '${role}' to ${fullModelName}`
+    : `✅ ${levelName}: Set all roles to ${fullModelName}`);
+  say(`   Config saved to: ${configPath}`);
+
+  // CCR reads session config per-request, no daemon restart needed
+  const restarted = level === 'project' ? requestDaemonRestart() : false;
+  return { level, model: fullModelName, roles, path: configPath, restarted };
+}
+
+/**
+ * Remove project- or session-level overrides so lower levels take effect again.
+ *
+ * Without --role the whole Router override is dropped; with --role only that
+ * role is removed. Files left without any settings are deleted.
+ */
+function unsetAtLevel(args, level) {
+  const role = parseRoleArg(args);
+
+  const target = getLevelConfigPath(level);
+  if (!target) {
+    if (level === 'project') {
+      fail('NO_PROJECT', 'Cannot determine current project. Make sure you are in a Claude Code project.');
+    }
+    fail('NO_SESSION', 'Cannot determine current project/session. Make sure you are in a Claude Code project with an active session.');
+  }
+
+  const levelName = level === 'project' ? 'Project-level' : 'Session-level';
+  let removed = [];
+
+  const next = updateConfigFile(target.path, level, levelConfig => {
+    // Branch overrides are not project-level roles; `unset --branch` drops them
+    const router = level === 'project' && levelConfig ? getProjectBaseRouter(levelConfig) : levelConfig?.Router;
+    if (!router || Object.keys(router).length === 0 || (role && !(role in router))) return undefined;
+
+    removed = role ? [role] : Object.keys(router);
+    if (role) {
+      delete router[role];
+    } else {
+      for (const r of removed) delete router[r];
+    }
+    if (level === 'project') {
+      setProjectBaseRouter(levelConfig, router);
+      // Nothing left that sync-project wrote
+      if (Object.keys(router).length === 0) delete levelConfig.RepoSync;
+    } else if (Object.keys(router).length === 0) {
+      delete levelConfig.Router;
+    }
+    return Object.keys(levelConfig).length === 0 ? null : levelConfig;
+  });
+
+  if (next === undefined) {
+    log(`${levelName}: no ${role ? `'${role}' ` : ''}override to remove`, 'info');
+    return { level, path: target.path, removed: [], restarted: false };
+  }
+
+  say(role
+    ? `✅ ${levelName}: Removed role '${role}'`
+    : `✅ ${levelName}: Removed all role overrides`);
+  if (next === null) {
+    say(`   Deleted empty config: ${target.path}`);
+  } else {
+    say(`   Config saved to: ${target.path}`);
+  }
+
+  // CCR reads session config per-request; project config only on daemon start
+  let restarted = false;
+  if (level === 'project' && checkCCRDaemonRunning()) {
+    restarted = requestDaemonRestart();
+  }
+
+  const effective = getEffectiveConfig();
+  const shownRoles = role ? [role] : VALID_ROLES;
+  say('\n   Now effective:');
+  for (const r of shownRoles) {
+    const source = effective.sources[r] ? ` (${LEVEL_LABELS[effective.sources[r]]})` : '';
+    say(`     ${r.padEnd(12)} ${ccrFormatToDisplay(effective.config[r]) || 'N/A'}${source}`);
+  }
+
+  return { level, path: target.path, removed, restarted };
+}
+
+function setModel(query, args) {
+  const models = getAllModels();
+  if (models.length === 0) {
+    fail('NO_MODELS', 'No models available.', 'Try: ccr-model import   to import from cc-switch');
+  }
+
+  // Filter out option flags from query
+  const cleanQuery = query.replace(/--\S+/g, '').trim();
+  const { selected, candidates: uniqueMatches } = selectModel(models, cleanQuery, args);
+  const fullModelName = selected.fullName;
+
+  // Convert provider/model format to provider,model format (CCR uses comma)
+  const ccrFormat = fullModelName.replace('/', ',');
+
+  const role = parseRoleArg(args);
+
+  say(`✅ Setting model to: ${fullModelName}`);
+
+  const updates = {};
+  if (role) {
+    // Set specific role only
+    updates[role] = ccrFormat;
+    say(`   Role '${role}' = ${ccrFormat}`);
+    say(`   Other roles unchanged.`);
+  } else {
+    // Set all roles (default behavior)
+    for (const r of VALID_ROLES) {
+      updates[r] = ccrFormat;
+    }
+    say(`   All roles = ${ccrFormat}`);
+  }
+
+  writeRouterAtLevel('global', updates);
+
+  say(`\n✅ Model updated successfully!`);
+  const restarted = requestDaemonRestart();
+
+  return {
+    level: 'global',
+    model: fullModelName,
+    roles: role ? [role] : VALID_ROLES,
+    path: CCR_CONFIG_PATH,
+    candidates: uniqueMatches.map(m => m.fullName),
+    restarted
+  };
+}
+
+function showProjectConfig() {
+  const projectId = getCurrentProjectId();
+  if (!projectId) {
+    if (jsonOutput) fail('NO_PROJECT', 'Cannot determine current project.');
+    console.log('❌ Cannot determine current project.');
+    return;
+  }
+
+  // CCR reads project config from ~/.claude-code-router/<project-id>/config.json
+  const projectConfigPath = path.join(CCR_PROJECTS_DIR, projectId, 'config.json');
+  const exists = fs.existsSync(projectConfigPath);
+
+  if (jsonOutput) {
+    const config = exists ? readJSONFile(projectConfigPath) : null;
+    if (exists && !config) fail('INVALID_CONFIG', `Cannot parse project config: ${projectConfigPath}`);
+    return { projectId, path: projectConfigPath, exists, router: config?.Router || null, branches: config?.Branches || null };
+  }
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log(`              Project: ${projectId}`);
+  console.log('═══════════════════════════════════════════════════\n');
+
+  if (exists) {
+    try {
+      const config = JSON.parse(fs.readFileSync(projectConfigPath, 'utf-8'));
+      if (config.Router) {
+        console.log('  Project-level Router Config:');
+        console.log(JSON.stringify(config.Router, null, 2));
+      } else {
+        console.log('  No Router config found in project config.');
+      }
+      if (config.Branches) {
+        console.log(`\n  Branch overrides (applied: ${config.BranchSync?.branch || 'none'}):`);
+        console.log(JSON.stringify(config.Branches, null, 2));
+      }
+    } catch (e) {
+      console.log('  Error reading project config:', e.message);
+    }
+  } else {
+    console.log('  No project config file found.');
+    console.log(`  Expected path: ${projectConfigPath}`);
+  }
+  console.log('');
+}
+
+function showSessionConfig() {
+  const projectId = getCurrentProjectId();
+  const sessionResult = resolveSessionId();
+  const sessionId = sessionResult ? sessionResult.id : null;
+
+  if (!projectId || !sessionId) {
+    if (jsonOutput) fail('NO_SESSION', 'Cannot determine current project/session.');
+    console.log('❌ Cannot determine current project/session.');
+    return;
+  }
+
+  // CCR reads session config from ~/.claude-code-router/<project-id>/<sessionId>.json
+  const sessionConfigPath = path.join(CCR_PROJECTS_DIR, projectId, `${sessionId}.json`);
+  const exists = fs.existsSync(sessionConfigPath);
+
+  if (jsonOutput) {
+    const config = exists ? readJSONFile(sessionConfigPath) : null;
+    if (exists && !config) fail('INVALID_CONFIG', `Cannot parse session config: ${sessionConfigPath}`);
+    return {
+      projectId,
+      sessionId,
+      sessionSource: sessionResult.source,
+      path: sessionConfigPath,
+      exists,
+      router: config?.Router || null
+    };
+  }
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log(`              Session: ${sessionId}`);
+  console.log(`              Project: ${projectId}`);
+  console.log('═══════════════════════════════════════════════════\n');
+
+  if (exists) {
+    try {
+      const config = JSON.parse(fs.readFileSync(sessionConfigPath, 'utf-8'));
+      if (config.Router) {
+        console.log('  Session-level Router Config:');
+        console.log(JSON.stringify(config.Router, null, 2));
+      } else {
+        console.log('  No Router config found in session config.');
+      }
+    } catch (e) {
+      console.log('  Error reading session config:', e.message);
+    }
+  } else {
+    console.log('  No session config file found.');
+    console.log(`  Expected path: ${sessionConfigPath}`);
+  }
+  console.log('');
+}
+
+// ============ Session Overrides ============
+
+/**
+ * Read the session cache written by the SessionStart hook
+ * (<tmpdir>/ccr-sessions/<claude-pid>.json) and check each Claude Code PID.
+ *
+ * @returns {Array<{ path: string, sessionId: string|null, pid: number|null, alive: boolean, ts: number|null }>}
+ */
+function readSessionCache() {
+  if (!fs.existsSync(SESSION_CACHE_DIR)) return [];
+
+  const entries = [];
+  for (const file of fs.readdirSync(SESSION_CACHE_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    const cachePath = path.join(SESSION_CACHE_DIR, file);
+    const data = readJSONFile(cachePath) || {};
+    const pid = Number.isInteger(data.pid) ? data.pid : parseInt(file, 10) || null;
+    entries.push({ path: cachePath, sessionId: data.session_id || null, pid, alive: isPidAlive(pid), ts: data.ts || null });
+  }
+  return entries;
+}
+
+function isPidAlive(pid) {
+  if (!pid || pid <= 1) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: the process exists but belongs to another user
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Describe a session override file: its Router, when it was last written,
+ * whether Claude Code still has the transcript and whether the session is
+ * alive. `alive` is null when the session is not in the PID cache (started
+ * before the hook was installed, or the cache was cleared).
+ */
+function describeSession(file, cacheEntries) {
+  const stat = fs.statSync(file.path);
+  const config = readJSONFile(file.path);
+  const transcriptPath = path.join(CLAUDE_PROJECTS_DIR, file.projectId, `${file.sessionId}.jsonl`);
+  const cached = cacheEntries.filter(e => e.sessionId === file.sessionId);
+
+  return {
+    projectId: file.projectId,
+    sessionId: file.sessionId,
+    path: file.path,
+    modified: stat.mtime.toISOString(),
+    router: config?.Router || null,
+    error: config ? null : 'not valid JSON',
+    transcript: fs.existsSync(transcriptPath),
+    transcriptPath,
+    alive: cached.length === 0 ? null : cached.some(e => e.alive),
+    pids: cached.map(e => e.pid)
+  };
+}
+
+/**
+ * Find a session override by ID or unique ID prefix, in the current project
+ * first and then in every project.
+ */
+function findSessionFile(id) {
+  const sessions = listOverrideFiles().filter(f => f.level === 'session');
+  const projectId = getCurrentProjectId();
+  const pools = [sessions.filter(f => f.projectId === projectId), sessions];
+
+  for (const pool of pools) {
+    const exact = pool.filter(f => f.sessionId === id);
+    if (exact.length === 1) return exact[0];
+    const matches = exact.length > 0 ? exact : pool.filter(f => f.sessionId.startsWith(id));
+    if (matches.length === 1) return matches[0];
+    if (matches.length > 1) {
+      const candidates = matches.map(f => `${f.projectId}/${f.sessionId}`);
+      fail('AMBIGUOUS_MATCH', `Session ID "${id}" matches ${matches.length} session overrides`,
+        candidates.map(c => `   ${c}`).join('\n'), { candidates });
+    }
+  }
+  fail('SESSION_NOT_FOUND', `No session override found for: ${id}`, '   See: ccr-model sessions --all-projects');
+}
+
+function formatSessionState(session) {
+  const alive = session.alive === null ? '? unknown' : session.alive ? '🟢 alive' : '⚪ ended';
+  const transcript = session.transcript ? 'transcript ✅' : 'transcript ❌';
+  return `${alive}  ${transcript}  ${new Date(session.modified).toLocaleString()}`;
+}
+
+function formatSessionRouter(router) {
+  const entries = Object.entries(router || {}).filter(([, value]) => value);
+  if (entries.length === 0) return '(no roles)';
+  return entries.map(([role, value]) => `${role}=${String(value).replace(',', '/')}`).join('  ');
+}
+
+/**
+ * `sessions [--all-projects]`: list session override files.
+ */
+function listSessions(args) {
+  const allProjects = args.includes('--all-projects');
+  const currentProjectId = getCurrentProjectId();
+  const projectId = allProjects ? null : currentProjectId;
+  if (!allProjects && !projectId) {
+    fail('NO_PROJECT', 'Cannot determine current project.', '   Use: ccr-model sessions --all-projects');
+  }
+
+  const cacheEntries = readSessionCache();
+  const currentId = getCurrentSessionId();
+  const sessions = listOverrideFiles()
+    .filter(f => f.level === 'session' && (allProjects || f.projectId === projectId))
+    .map(f => ({ ...describeSession(f, cacheEntries), current: f.projectId === currentProjectId && f.sessionId === currentId }))
+    // Newest first, grouped by project
+    .sort((a, b) => a.projectId.localeCompare(b.projectId) || b.modified.localeCompare(a.modified));
+
+  if (jsonOutput) return { projectId, sessions };
+
+  if (sessions.length === 0) {
+    console.log(allProjects ? 'No session overrides.' : `No session overrides in project ${projectId}.`);
+    return;
+  }
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log(`              Session Overrides (${sessions.length})`);
+  console.log('═══════════════════════════════════════════════════\n');
+  let lastProject = null;
+  for (const s of sessions) {
+    if (allProjects && s.projectId !== lastProject) {
+      console.log(`📁 ${s.projectId}`);
+      lastProject = s.projectId;
+    }
+    console.log(`  ${s.current ? '*' : ' '} ${s.sessionId}`);
+    console.log(`      ${formatSessionState(s)}`);
+    console.log(`      ${s.error ? `⚠️  ${s.error}` : formatSessionRouter(s.router)}`);
+  }
+  console.log('');
+  if (sessions.some(s => s.current)) console.log('  * current session');
+  console.log('💡 ccr-model sessions show <id>   ccr-model sessions rm <id>   (unique ID prefixes work)');
+}
+
+/**
+ * `sessions show <id>`: details of one session override.
+ */
+function showSessionOverride(id) {
+  const session = describeSession(findSessionFile(id), readSessionCache());
+  if (jsonOutput) return session;
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log(`              Session: ${session.sessionId}`);
+  console.log(`              Project: ${session.projectId}`);
+  console.log('═══════════════════════════════════════════════════\n');
+  console.log(`  File:        ${session.path.replace(process.env.HOME, '~')}`);
+  console.log(`  Modified:    ${new Date(session.modified).toLocaleString()}`);
+  console.log(`  Transcript:  ${session.transcript ? '✅' : '❌'} ${session.transcriptPath.replace(process.env.HOME, '~')}`);
+  const alive = session.alive === null
+    ? '? not in the session cache'
+    : `${session.alive ? '🟢 alive' : '⚪ ended'} (PID ${session.pids.join(', ')})`;
+  console.log(`  Session:     ${alive}`);
+  console.log('');
+  if (session.error) {
+    console.log(`  ⚠️  ${session.error}`);
+  } else {
+    console.log('  Session-level Router Config:');
+    console.log(JSON.stringify(session.router || {}, null, 2));
+  }
+  console.log('');
+}
+
+/**
+ * `sessions rm <id>`: delete one session override. The file is snapshotted
+ * to history first, so `undo` brings it back.
+ */
+function removeSessionOverride(id) {
+  const file = findSessionFile(id);
+  updateConfigFile(file.path, 'session', () => null);
+  log(`Removed session override ${file.sessionId} (${file.projectId})`, 'success');
+  // CCR reads session configs per request: no restart needed
+  return { projectId: file.projectId, sessionId: file.sessionId, path: file.path, removed: true };
+}
+
+/**
+ * `sessions [list|show <id>|rm <id>] [--all-projects]`
+ */
+function sessionsCommand(args) {
+  const subcommand = args[1] && !args[1].startsWith('--') ? args[1] : 'list';
+  const id = args[2];
+
+  switch (subcommand) {
+    case 'list':
+      return listSessions(args);
+    case 'show':
+      if (!id) {
+        fail('MISSING_ARGUMENT', 'Please provide a session ID (see: ccr-model sessions)');
+      }
+      return showSessionOverride(id);
+    case 'rm':
+    case 'remove':
+      if (!id) {
+        fail('MISSING_ARGUMENT', 'Please provide a session ID (see: ccr-model sessions)');
+      }
+      return removeSessionOverride(id);
+    default:
+      fail('UNKNOWN_COMMAND', `Unknown sessions command: ${subcommand}`, 'Use: sessions [list|show <id>|rm <id>] [--all-projects]');
+  }
+}
+
+/**
+ * Parse a duration like "7d", "12h", "30m" or "2w" (a bare number is days).
+ * @returns {number} milliseconds
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw]?)$/i);
+  if (!match) {
+    fail('INVALID_OPTION', `Invalid duration: ${value}`, '   Use e.g. --older-than=7d (units: s, m, h, d, w)');
+  }
+  const units = { s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 86400 * 1000, w: 7 * 86400 * 1000 };
+  return parseFloat(match[1]) * units[(match[2] || 'd').toLowerCase()];
+}
+
+/**
+ * `gc [--older-than=7d] [--dry-run]`: remove session overrides of sessions
+ * that are no longer running, and session cache entries of dead Claude Code
+ * processes.
+ *
+ * A session override is removed when the session is not alive (ended per the
+ * PID cache, or not in it) and neither the override nor the transcript has
+ * been written for --older-than. The current session and alive sessions are
+ * always kept. Deletions are not snapshotted to history: a run can remove
+ * hundreds of files and would push every real change out of it.
+ */
+function gcCommand(args) {
+  const olderThan = getOption(args, 'older-than') || '7d';
+  const cutoff = Date.now() - parseDuration(olderThan);
+  const cacheEntries = readSessionCache();
+  const currentProjectId = getCurrentProjectId();
+  const currentId = getCurrentSessionId();
+
+  const sessions = [];
+  for (const file of listOverrideFiles().filter(f => f.level === 'session')) {
+    const session = describeSession(file, cacheEntries);
+    const transcriptTime = session.transcript ? fs.statSync(session.transcriptPath).mtimeMs : 0;
+    const lastActive = Math.max(Date.parse(session.modified), transcriptTime);
+    const isCurrent = file.projectId === currentProjectId && file.sessionId === currentId;
+    if (session.alive || isCurrent || lastActive > cutoff) continue;
+
+    const reason = session.alive === false ? 'ended' : !session.transcript ? 'no transcript' : 'inactive';
+    sessions.push({ projectId: file.projectId, sessionId: file.sessionId, path: file.path, reason, lastActive: new Date(lastActive).toISOString() });
+  }
+
+  // A cache entry only matters while its Claude Code process runs
+  const cacheFiles = cacheEntries.filter(e => !e.alive).map(e => ({ path: e.path, pid: e.pid, sessionId: e.sessionId }));
+
+  const emptyDirs = [];
+  if (!dryRun) {
+    for (const s of sessions) {
+      try { fs.unlinkSync(s.path); } catch (e) {}
+    }
+    for (const c of cacheFiles) {
+      try { fs.unlinkSync(c.path); } catch (e) {}
+    }
+    // Project directories left with neither a project config nor sessions
+    for (const dir of new Set(sessions.map(s => path.dirname(s.path)))) {
+      try {
+        if (fs.readdirSync(dir).length === 0) {
+          fs.rmdirSync(dir);
+          emptyDirs.push(dir);
+        }
+      } catch (e) {}
+    }
+  }
+
+  if (jsonOutput) return { olderThan, sessions, cacheFiles, removedDirs: emptyDirs };
+
+  const verb = dryRun ? 'Would remove' : 'Removed';
+  if (sessions.length === 0 && cacheFiles.length === 0) {
+    console.log(`✅ Nothing to clean up (session overrides inactive for ${olderThan}, dead session cache entries)`);
+    return;
+  }
+  console.log(`🧹 ${verb} ${sessions.length} session override${sessions.length === 1 ? '' : 's'} (inactive for ${olderThan})` +
+    ` and ${cacheFiles.length} session cache entr${cacheFiles.length === 1 ? 'y' : 'ies'}\n`);
+  for (const s of sessions) {
+    console.log(`  ${s.projectId}/${s.sessionId}  [${s.reason}, last active ${new Date(s.lastActive).toLocaleString()}]`);
+  }
+  for (const c of cacheFiles) {
+    console.log(`  ${c.path}  [PID ${c.pid} not running]`);
+  }
+  for (const dir of emptyDirs) {
+    console.log(`  ${dir}/  [empty project directory]`);
+  }
+  if (dryRun) console.log('\n🔍 Dry run: nothing was removed');
+}
+
+/**
+ * `import [--from=<importer>] [path]`: add providers from cc-switch (default)
+ * or another source. See Provider Importers.
+ */
+function importProviders(from = 'cc-switch', filePath = null) {
+  const label = IMPORTERS[from] ? IMPORTERS[from].label : from;
+  const incoming = getImportedProviders(from, filePath);
+  let found = false;
+  let imported = [];
+  let providers = [];
+
+  updateCCRConfig(config => {
+    if (!config) {
+      // Create new config
+      config = {
+        LOG: true,
+        LOG_LEVEL: "info",
+        HOST: "127.0.0.1",
+        PORT: 3456,
+        APIKEY: "",
+        API_TIMEOUT_MS: "600000",
+        PROXY_URL: "",
+        transformers: [],
+        Providers: [],
+        Router: {
+          default: "",
+          background: "",
+          think: "",
+          longContext: "",
+          webSearch: ""
+        }
+      };
+    }
+
+    config.Providers = config.Providers || [];
+    config.Router = config.Router || {};
+
+    if (config.Providers.length === 0) {
+      log('No providers configured in CCR', 'warning');
+    }
+
+    const providerCountBefore = config.Providers.length;
+    const result = mergeImportedProviders(config, incoming, label);
+    providers = config.Providers.map(p => p.name);
+    if (result === false) return undefined;
+
+    found = true;
+    imported = config.Providers.slice(providerCountBefore).map(p => p.name);
+
+    // Set default model if not set
+    let defaultSet = false;
+    if (!config.Router.default && config.Providers.length > 0) {
+      const firstProvider = config.Providers[0];
+      if (firstProvider.models && firstProvider.models.length > 0) {
+        // CCR config uses comma-separated "provider,model" format
+        config.Router.default = `${firstProvider.name},${firstProvider.models[0]}`;
+        defaultSet = true;
+        log(`Set default model to: ${config.Router.default}`, 'info');
+      }
+    }
+
+    return imported.length > 0 || defaultSet ? config : undefined;
+  });
+
+  // Restart daemon so new providers take effect
+  let restarted = false;
+  if (found && checkCCRDaemonRunning()) {
+    restarted = requestDaemonRestart();
+  }
+
+  return { from, found, imported, providers, restarted };
+}
+
+function showStatus() {
+  // Check CCR installation
+  const ccrInstalled = checkCCRInstalled();
+
+  if (!ccrInstalled) {
+    if (jsonOutput) return { checks: { ccrInstalled } };
+    console.log('═══════════════════════════════════════════════════');
+    console.log('              CCR Status Check');
+    console.log('═══════════════════════════════════════════════════\n');
+    console.log('  CCR Installed:     ❌ No');
+    return;
+  }
+
+  const daemonRunning = checkCCRDaemonRunning();
+  const config = getCCRConfig();
+  const providerCount = config?.Providers?.length || 0;
+  const hasCCSwitch = fs.existsSync(CC_SWITCH_DB_PATH);
+  const ccrActive = isCCRActive();
+  const projectId = getCurrentProjectId();
+  const sessionResult = resolveSessionId();
+  const current = getCurrentModelInfo();
+  const pendingRestart = getPendingRestart();
+
+  if (jsonOutput) {
+    return {
+      checks: {
+        ccrInstalled,
+        daemonRunning,
+        providers: providerCount,
+        ccSwitch: hasCCSwitch,
+        ccrActive
+      },
+      projectId,
+      session: sessionResult,
+      current,
+      pendingRestart
+    };
+  }
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log('              CCR Status Check');
+  console.log('═══════════════════════════════════════════════════\n');
+
+  console.log(`  CCR Installed:     ✅ Yes`);
+  console.log(`  CCR Daemon:        ${daemonRunning ? '✅ Running' : '⚠️  Not running'}`);
+  if (pendingRestart) {
+    const waiting = isProcessAlive(pendingRestart.waiterPid) ? ', queued until idle'
+      : pendingRestart.waiterTimedOut ? `, waiter gave up at ${new Date(pendingRestart.waiterTimedOut).toLocaleString()} (CCR never idle)`
+        : '';
+    console.log(`  Pending Restart:   ⏳ ${(pendingRestart.commands || []).length} change(s) since ${new Date(pendingRestart.since).toLocaleString()}${waiting}`);
+  }
+  console.log(`  Providers:         ${providerCount > 0 ? `✅ ${providerCount} configured` : '❌ None configured'}`);
+  console.log(`  CC-Switch:         ${hasCCSwitch ? '✅ Available' : '⚠️  Not found'}`);
+  console.log(`  CCR Routing:       ${ccrActive ? '✅ Active (ANTHROPIC_BASE_URL → CCR)' : '⚠️  Inactive (direct Anthropic API)'}`);
+
+  // Project & Session info
+  console.log(`  Project ID:        ${projectId || '❌ Not detected'}`);
+  console.log(`  Session ID:        ${sessionResult ? sessionResult.id : '❌ Not detected'}`);
+
+  if (sessionResult) {
+    const sourceLabels = {
+      env: 'env (CLAUDE_CODE_SESSION_ID)',
+      cache: 'cache (hook temp file)',
+      mtime: 'mtime (fallback, may be inaccurate)'
+    };
+    console.log(`  Session Source:    ${sourceLabels[sessionResult.source]}`);
+  }
+
+  // Current model display
+  if (current.routed) {
+    console.log(`  Current Model:     ${current.model || 'N/A'}`);
+    console.log(`  Model Source:      ${LEVEL_LABELS[current.level] || current.level}`);
+  } else {
+    console.log(`  Current Model:     ${current.model} (native)`);
+  }
+
+  console.log('');
+
+  // Suggest actions
+  if (!daemonRunning) {
+    console.log('💡 Run: ccr start    to start the daemon');
+  }
+  if (pendingRestart) {
+    console.log('💡 Run: ccr-model restart    to apply pending changes now');
+  }
+  if (providerCount === 0 && hasCCSwitch) {
+    console.log('💡 Run: ccr-model import    to import providers from cc-switch');
+  }
+}
+
+// ============ Model Test ============
+
+/**
+ * Send a minimal Messages API request through the running CCR daemon.
+ * CCR routes "provider,model" model names straight to that provider.
+ *
+ * @returns {Promise<{ model: string, ok: boolean, status: number|null,
+ *                     latencyMs: number, error: string|null }>}
+ */
+async function pingModel(config, ccrModel) {
+  const url = `http://${config.HOST || '127.0.0.1'}:${config.PORT || 3456}/v1/messages`;
+  const headers = {
+    'content-type': 'application/json',
+    'anthropic-version': '2023-06-01'
+  };
+  if (config.APIKEY) {
+    headers['x-api-key'] = config.APIKEY;
+    headers['Authorization'] = `Bearer ${config.APIKEY}`;
+  }
+
+  const started = Date.now();
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: ccrModel,
+        max_tokens: 16,
+        messages: [{ role: 'user', content: 'Reply with "pong".' }]
+      }),
+      signal: AbortSignal.timeout(60000)
+    });
+    const body = await res.text();
+    return {
+      model: ccrModel,
+      ok: res.ok,
+      status: res.status,
+      latencyMs: Date.now() - started,
+      error: res.ok ? null : body.slice(0, 500)
+    };
+  } catch (e) {
+    return {
+      model: ccrModel,
+      ok: false,
+      status: null,
+      latencyMs: Date.now() - started,
+      error: e.cause?.message || e.message
+    };
+  }
+}
+
+/**
+ * Verify models actually answer through CCR.
+ *
+ *   test <model>       one fuzzy-matched model
+ *   test --all         every configured model
+ *   test --role [r]    whatever each role (or role r) currently resolves to
+ *   test               the effective default model
+ */
+async function testModels(args) {
+  const config = getCCRConfig();
+  if (!config) {
+    fail('NO_CONFIG', 'Cannot read CCR config');
+  }
+
+  // targets: [{ model: "provider,model", roles: [] }]
+  const targets = [];
+  const addTarget = (model, role) => {
+    let target = targets.find(t => t.model === model);
+    if (!target) {
+      target = { model, roles: [] };
+      targets.push(target);
+    }
+    if (role) target.roles.push(role);
+  };
+
+  // A bare --role tests every role
+  const role = parseRoleArg(args, true);
+  const query = removeOptionValues(args.slice(1), ['role']).filter(a => !a.startsWith('-')).join(' ');
+
+  if (args.includes('--all')) {
+    getAllModels().forEach(m => addTarget(m.fullName.replace('/', ',')));
+  } else if (role || args.includes('--role')) {
+    const effective = getEffectiveConfig().config;
+    for (const r of role ? [role] : VALID_ROLES) {
+      if (effective[r]) addTarget(effective[r], r);
+    }
+  } else if (query) {
+    const { selected } = selectModel(getAllModels(), query, args);
+    addTarget(selected.fullName.replace('/', ','));
+  } else {
+    const effective = getEffectiveConfig().config;
+    if (effective.default) addTarget(effective.default, 'default');
+  }
+
+  if (targets.length === 0) {
+    fail('NO_MODELS', 'Nothing to test: no model configured');
+  }
+
+  say(`🔧 Testing ${targets.length} model(s) through CCR at ${config.HOST || '127.0.0.1'}:${config.PORT || 3456}...\n`);
+
+  const results = [];
+  for (const target of targets) {
+    const result = { ...(await pingModel(config, target.model)), roles: target.roles };
+    results.push(result);
+
+    const name = ccrFormatToDisplay(result.model);
+    const roles = result.roles.length > 0 ? ` [${result.roles.join(', ')}]` : '';
+    const status = result.status === null ? 'no response' : `HTTP ${result.status}`;
+    say(`  ${result.ok ? '✅' : '❌'} ${name}${roles}  ${status}  ${result.latencyMs}ms`);
+    if (!result.ok && result.error) {
+      say(`     ${result.error.replace(/\s+/g, ' ')}`);
+    }
+  }
+
+  const failed = results.filter(r => !r.ok).length;
+  say('');
+  say(failed === 0
+    ? `✅ All ${results.length} model(s) responded`
+    : `❌ ${failed} of ${results.length} model(s) failed`);
+  if (failed > 0) process.exitCode = 1;
+
+  return { results, failed };
+}
+
+// ============ Doctor ============
+
+/**
+ * Locate the hook scripts: installed layout keeps them in ./hooks next to this
+ * script, the source checkout in ../../hooks.
+ */
+function getHooksDir() {
+  const candidates = [path.join(__dirname, 'hooks'), path.join(__dirname, '..', '..', 'hooks')];
+  return candidates.find(dir => fs.existsSync(path.join(dir, 'session-start.js'))) || null;
+}
+
+/**
+ * Whether a process is the CCR daemon, judged by its command line.
+ */
+function isCCRProcess(pid) {
+  const args = runCommand(`ps -o args= -p ${pid}`, true) || '';
+  return /claude-code-router|(^|[\s/])ccr(\s|$)/.test(args);
+}
+
+function describeProcess(pid) {
+  const args = (runCommand(`ps -o args= -p ${pid}`, true) || '').trim();
+  return args ? `PID ${pid}: ${args.slice(0, 80)}` : `PID ${pid}`;
+}
+
+/**
+ * Run deep diagnostics. Each finding carries a suggestion; findings with a
+ * `fix` function are safe to repair automatically with --fix.
+ */
+function runDoctor(args) {
+  const applyFixes = args.includes('--fix');
+  const findings = [];
+  const report = (severity, check, message, suggestion = null, fix = null) => {
+    findings.push({ severity, check, message, suggestion, fix });
+  };
+
+  // --- CCR installation & global config ---
+  if (!runCommand('which ccr', true)) {
+    report('error', 'ccr-installed', 'CCR (claude-code-router) is not installed',
+      'npm install -g @musistudio/claude-code-router');
+  }
+
+  let config = null;
+  if (!fs.existsSync(CCR_CONFIG_PATH)) {
+    report('error', 'global-config', `Global config not found: ${CCR_CONFIG_PATH}`,
+      'Run: ccr-model import   to create it from cc-switch');
+  } else {
+    config = readJSONFile(CCR_CONFIG_PATH);
+    if (!config) {
+      report('error', 'global-config', `Global config is not valid JSON: ${CCR_CONFIG_PATH}`,
+        'Fix the JSON by hand or run: ccr-model undo');
+    }
+  }
+
+  // --- Providers ---
+  const providers = config?.Providers || [];
+  if (config && providers.length === 0) {
+    report('error', 'providers', 'No providers configured', 'Run: ccr-model import');
+  }
+  for (const provider of providers) {
+    if (!provider.api_key) {
+      report('warning', 'provider-key', `Provider '${provider.name}' has an empty api_key`,
+        `Set api_key for '${provider.name}' in ${CCR_CONFIG_PATH}`);
+    }
+    let url = null;
+    try {
+      url = new URL(provider.api_base_url);
+    } catch (e) {
+      // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      report('error', 'provider-url', `Provider '${provider.name}' has a malformed api_base_url: ${provider.api_base_url || '(empty)'}`,
+        'Use a full http(s):// URL');
     }
-    // Provider match
-    else if (provider === lowerQuery || provider.includes(lowerQuery)) {
-      score = 60;
+    if (!provider.models || provider.models.length === 0) {
+      report('warning', 'provider-models', `Provider '${provider.name}' lists no models`,
+        `Add models to '${provider.name}' in ${CCR_CONFIG_PATH}`);
     }
-    // Fuzzy match (any part matches)
-    else {
-      const queryParts = noSepQuery.split(/[\s\-_\/]+/).filter(p => p && p.length >= 2);
-      let matchCount = 0;
+  }
 
-      for (const part of queryParts) {
-        if (modelNoSep.includes(part) || modelAls.some(a => a.includes(part))) {
-          matchCount++;
-        } else if (pAls.some(a => a.includes(part))) {
-          matchCount += 0.5;
+  // --- Router references (global + every project/session file, including
+  // branch overrides and the BranchSync/RepoSync records) ---
+  const available = new Set(getAllModels().map(m => m.fullName));
+  const providerNames = new Set(providers.map(p => p.name));
+  const repointHint = (map, role) => {
+    if (!map) return `ccr-model set <model> --role=${role}`;
+    if (map.startsWith('Branches.')) return `ccr-model set <model> --branch --role=${role}   on branch ${map.slice('Branches.'.length)}`;
+    return map.startsWith('RepoSync.') ? 'ccr-model sync-project   after fixing .ccr-model.json' : 'ccr-model sync-branch';
+  };
+  const checkRoleMaps = (configObject, label) => {
+    for (const { map, roles } of listRoleMaps(configObject)) {
+      for (const role of VALID_ROLES) {
+        const value = roles[role];
+        if (!value || typeof value !== 'string') continue;
+        const [providerName] = value.split(',');
+        const ref = formatRoleRef({ map, role });
+        if (!providerNames.has(providerName)) {
+          report('error', 'router-provider', `${label}: role '${ref}' uses unknown provider '${providerName}' (${value})`,
+            `Run: ${repointHint(map, role)}   or remove the override`);
+        } else if (!available.has(ccrFormatToDisplay(value))) {
+          report('error', 'router-model', `${label}: role '${ref}' uses a model not listed by '${providerName}' (${value})`,
+            `Add the model to '${providerName}' or run: ${repointHint(map, role)}`);
         }
       }
+    }
+  };
 
-      score = matchCount * 20;
+  if (config) checkRoleMaps(config, 'Global config');
+
+  for (const file of listOverrideFiles()) {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(file.path, 'utf-8'));
+    } catch (e) {
+      const aside = `${file.path}.corrupt-${Date.now()}`;
+      report('error', 'override-parse', `Unparseable ${file.level} config: ${file.path}`,
+        `Move it aside: mv "${file.path}" "${aside}"`,
+        () => fs.renameSync(file.path, aside));
+      continue;
     }
+    const label = file.level === 'project'
+      ? `Project ${file.projectId}`
+      : `Session ${file.sessionId} (${file.projectId})`;
+    checkRoleMaps(content, label);
+  }
 
-    return { ...m, score };
-  });
+  // --- Daemon, PID file and port ---
+  const host = config?.HOST || '127.0.0.1';
+  const port = config?.PORT || 3456;
+  let ccrPid = null;
+  if (fs.existsSync(CCR_PID_PATH)) {
+    ccrPid = parseInt(fs.readFileSync(CCR_PID_PATH, 'utf-8').trim(), 10);
+    let alive = false;
+    try {
+      process.kill(ccrPid, 0);
+      alive = true;
+    } catch (e) {
+      // Process not running
+    }
+    if (!alive) {
+      report('warning', 'pid-file', `Stale PID file (process ${ccrPid} is not running): ${CCR_PID_PATH}`,
+        `rm "${CCR_PID_PATH}"`,
+        () => fs.unlinkSync(CCR_PID_PATH));
+      ccrPid = null;
+    }
+  }
 
-  // Filter out zero scores and sort by score descending
-  return scored.filter(m => m.score > 0).sort((a, b) => b.score - a.score);
-}
+  const listeners = runCommand(`lsof -nP -iTCP:${port} -sTCP:LISTEN -t`, true);
+  if (listeners === null && !runCommand('which lsof', true)) {
+    report('info', 'port', `Cannot check port ${port}: lsof is not available`);
+  } else {
+    // Judge listeners by their command line too: the PID file may be missing
+    // or stale while CCR itself holds the port
+    const listenerPids = (listeners || '').split('\n').map(l => parseInt(l, 10)).filter(Boolean);
+    const foreign = listenerPids.filter(pid => pid !== ccrPid && !isCCRProcess(pid));
+    if (foreign.length > 0 && foreign.length === listenerPids.length) {
+      report('error', 'port', `Port ${host}:${port} is held by another process (${foreign.map(describeProcess).join(', ')})`,
+        `Stop that process or change PORT in ${CCR_CONFIG_PATH}`);
+    }
+  }
 
-// ============ Commands ============
+  const pendingRestart = getPendingRestart();
+  if (pendingRestart && !isProcessAlive(pendingRestart.waiterPid)) {
+    const reason = pendingRestart.waiterTimedOut
+      ? `the idle waiter gave up at ${new Date(pendingRestart.waiterTimedOut).toLocaleString()}`
+      : 'no waiter is running';
+    report('warning', 'pending-restart',
+      `${(pendingRestart.commands || []).length} change(s) since ${new Date(pendingRestart.since).toLocaleString()} wait for a daemon restart (${reason})`,
+      'Run: ccr-model restart   (drops requests CCR is serving)');
+  }
 
-function listModels() {
-  const config = getCCRConfig();
-  if (!config) {
-    log('Cannot read CCR config', 'error');
-    return;
+  if (!checkCCRDaemonRunning()) {
+    report('warning', 'daemon', 'CCR daemon is not running', 'Run: ccr start',
+      () => { if (!startCCRDaemon()) throw new Error('ccr start failed'); });
   }
 
-  const models = getAllModels();
-  const router = config.Router || {};
+  // --- Claude Code integration ---
+  if (!isCCRActive()) {
+    report('warning', 'routing', `ANTHROPIC_BASE_URL does not point at CCR (http://${host}:${port})`,
+      `Set env.ANTHROPIC_BASE_URL to http://${host}:${port} in ${CLAUDE_SETTINGS_PATH}`);
+  }
 
-  console.log('═══════════════════════════════════════════════════');
-  console.log('              Available Models in CCR');
-  console.log('═══════════════════════════════════════════════════\n');
+  const hooksDir = getHooksDir();
+  let settings = null;
+  if (fs.existsSync(CLAUDE_SETTINGS_PATH)) {
+    settings = readJSONFile(CLAUDE_SETTINGS_PATH);
+    if (!settings) {
+      report('error', 'claude-settings', `Claude settings are not valid JSON: ${CLAUDE_SETTINGS_PATH}`);
+    }
+  }
+  if (settings || !fs.existsSync(CLAUDE_SETTINGS_PATH)) {
+    const current = settings || {};
+    const hookChecks = [
+      { event: 'SessionStart', script: 'session-start.js', check: 'session-start-hook' },
+      { event: 'SessionEnd', script: 'session-end.js', check: 'session-end-hook' }
+    ];
+    for (const { event, script, check } of hookChecks) {
+      const configured = (current.hooks?.[event] || []).some(h =>
+        h.hooks && h.hooks.some(sub => sub.command && sub.command.includes(script))
+      );
+      if (configured) continue;
+      report('warning', check, `${event} hook is not configured in ${CLAUDE_SETTINGS_PATH}`,
+        'Run install.sh again',
+        hooksDir && (() => updateConfigFile(CLAUDE_SETTINGS_PATH, 'settings', latest => {
+          latest = latest || {};
+          latest.hooks = latest.hooks || {};
+          latest.hooks[event] = latest.hooks[event] || [];
+          latest.hooks[event].push({
+            matcher: '',
+            hooks: [{ type: 'command', command: 'node ' + path.join(hooksDir, script) }]
+          });
+          return latest;
+        })));
+    }
 
-  // Group by provider
-  const byProvider = {};
-  for (const m of models) {
-    if (!byProvider[m.provider]) byProvider[m.provider] = [];
-    byProvider[m.provider].push(m.model);
+    const statusCommand = current.statusLine?.command || '';
+    if (!current.statusLine) {
+      report('warning', 'status-line', `statusLine is not configured in ${CLAUDE_SETTINGS_PATH}`,
+        'Run install.sh again',
+        hooksDir && (() => updateConfigFile(CLAUDE_SETTINGS_PATH, 'settings', latest => {
+          latest = latest || {};
+          latest.statusLine = { type: 'command', command: 'node ' + path.join(hooksDir, 'statusline.js') };
+          return latest;
+        })));
+    } else if (!statusCommand.includes('statusline.js')) {
+      report('info', 'status-line', `statusLine runs a different command: ${statusCommand}`,
+        'Point statusLine at hooks/statusline.js to see the CCR model in the status bar');
+    }
   }
 
-  if (Object.keys(byProvider).length === 0) {
-    log('No models configured!', 'warning');
-    console.log('Run: ccr-model import   to import from cc-switch');
-  } else {
-    for (const [provider, modelList] of Object.entries(byProvider)) {
-      console.log(`  ${provider}:`);
-      for (const model of modelList) {
-        console.log(`    - ${model}`);
+  // --- Apply safe fixes ---
+  for (const finding of findings) {
+    finding.fixable = typeof finding.fix === 'function';
+    finding.fixed = false;
+    if (applyFixes && finding.fixable) {
+      try {
+        finding.fix();
+        finding.fixed = true;
+      } catch (e) {
+        finding.fixError = e.message;
       }
-      console.log('');
     }
   }
 
-  // Show current router config
-  console.log('═══════════════════════════════════════════════════');
-  console.log('              Current Router Configuration');
-  console.log('═══════════════════════════════════════════════════\n');
+  const unresolvedErrors = findings.filter(f => f.severity === 'error' && !f.fixed).length;
+  if (unresolvedErrors > 0) process.exitCode = 1;
 
-  console.log(`  Default Model:      ${router.default || 'N/A'}`);
-  console.log(`  Background Model:  ${router.background || 'N/A'}`);
-  console.log(`  Think Model:        ${router.think || 'N/A'}`);
-  console.log(`  Long Context Model: ${router.longContext || 'N/A'}`);
-  console.log(`  Web Search Model:   ${router.webSearch || 'N/A'}`);
-  console.log('');
+  if (jsonOutput) {
+    return {
+      findings: findings.map(({ fix, ...rest }) => rest),
+      fixed: findings.filter(f => f.fixed).length,
+      errors: unresolvedErrors
+    };
+  }
 
-  // Show Claude settings model
-  const settings = getClaudeSettings();
   console.log('═══════════════════════════════════════════════════');
-  console.log('              Claude Code Current Model');
+  console.log('              CCR Doctor');
   console.log('═══════════════════════════════════════════════════\n');
-  console.log(`  Model: ${settings.model || 'default'}`);
-  console.log('');
-}
 
-function queryModels(query) {
-  const models = getAllModels();
-  if (models.length === 0) {
-    log('No models available. Import from cc-switch first.', 'warning');
+  if (findings.length === 0) {
+    console.log('  ✅ No problems found\n');
     return;
   }
 
-  const matches = fuzzyMatch(models, query);
+  const icons = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+  for (const finding of findings) {
+    const status = finding.fixed ? ' [fixed]' : finding.fixError ? ` [fix failed: ${finding.fixError}]` : '';
+    console.log(`  ${icons[finding.severity]} ${finding.message}${status}`);
+    if (finding.suggestion && !finding.fixed) {
+      console.log(`     → ${finding.suggestion}`);
+    }
+  }
+  console.log('');
 
-  if (matches.length === 0) {
-    console.log(`No models found matching: ${query}`);
-    console.log('\nAvailable models:');
-    listModels();
-    return;
+  const fixableLeft = findings.filter(f => f.fixable && !f.fixed).length;
+  if (fixableLeft > 0) {
+    console.log(`💡 Run: ccr-model doctor --fix    to apply ${fixableLeft} safe fix(es)`);
   }
+}
 
-  console.log(`Found ${matches.length} model(s) matching: "${query}"\n`);
+// ============ Model Profiles ============
 
-  // Show top matches
-  const uniqueMatches = [];
-  const seen = new Set();
-  for (const m of matches) {
-    if (!seen.has(m.fullName)) {
-      seen.add(m.fullName);
-      uniqueMatches.push(m);
-    }
+function getProfiles() {
+  return readJSONFile(PROFILES_PATH) || {};
+}
+
+/**
+ * Read-modify-write profiles.json under its lock. Profiles are not part of
+ * the config history, so no snapshot is taken.
+ */
+function updateProfiles(mutate) {
+  return updateConfigFile(PROFILES_PATH, null, profiles => mutate(profiles || {}));
+}
+
+/**
+ * Save a named profile.
+ *
+ * With role=model arguments (e.g. "think=kimi background=doubao") each model is
+ * fuzzy-matched; without them the currently effective Router is captured.
+ */
+function saveProfile(name, assignments, args) {
+  if (!name || !/^[\w.-]+$/.test(name)) {
+    fail('INVALID_NAME', `Invalid profile name: ${name || '(empty)'}`, '   Use letters, digits, ".", "_" or "-"');
   }
 
-  console.log('Matches:');
-  for (let i = 0; i < Math.min(uniqueMatches.length, 10); i++) {
-    const m = uniqueMatches[i];
-    const marker = i === 0 ? '▶' : ' ';
-    console.log(`  ${marker} ${m.fullName} (score: ${m.score})`);
+  const router = {};
+  if (assignments.length > 0) {
+    const models = getAllModels();
+    for (const pair of assignments) {
+      const [role, query] = pair.split('=');
+      if (!VALID_ROLES.includes(role) || !query) {
+        fail('INVALID_ROLE', `Expected <role>=<model>, got: ${pair}`, `   Valid roles: ${VALID_ROLES.join(', ')}`);
+      }
+      router[role] = selectModel(models, query, args).selected.fullName.replace('/', ',');
+    }
+  } else {
+    const effective = getEffectiveConfig().config;
+    for (const role of VALID_ROLES) {
+      if (effective[role]) router[role] = effective[role];
+    }
   }
 
-  if (uniqueMatches.length > 10) {
-    console.log(`  ... and ${uniqueMatches.length - 10} more`);
+  if (Object.keys(router).length === 0) {
+    fail('EMPTY_PROFILE', 'Nothing to save: no roles given and no model is currently configured');
   }
 
-  console.log('');
-}
+  let replaced = false;
+  updateProfiles(profiles => {
+    replaced = name in profiles;
+    profiles[name] = router;
+    return profiles;
+  });
 
-// ============ Project & Session Level Config ============
+  say(`✅ Profile '${name}' ${replaced ? 'updated' : 'saved'}`);
+  for (const [role, model] of Object.entries(router)) {
+    say(`   ${role.padEnd(12)} ${ccrFormatToDisplay(model)}`);
+  }
+  return { profile: name, router, replaced };
+}
 
 /**
- * Get current project ID from working directory or environment
- *
- * Claude Code project IDs are encoded versions of the project path.
- * E.g., "/Users/hungrywu/Documents/opensrc/ccr-skills" becomes
- *      "-Users-hungrywu-Documents-opensrc-ccr-skills"
+ * Apply a profile to the global, project or session level.
+ * Every entry is checked against the configured models before anything is written.
  */
-function getCurrentProjectId() {
-  const cwd = process.cwd();
-
-  if (!fs.existsSync(CLAUDE_PROJECTS_DIR)) {
-    return null;
+function applyProfile(name, level) {
+  const profiles = getProfiles();
+  const router = profiles[name];
+  if (!router) {
+    fail('PROFILE_NOT_FOUND', `Profile not found: ${name}`, 'Run "ccr-model profile list" to see saved profiles');
   }
 
-  const projects = fs.readdirSync(CLAUDE_PROJECTS_DIR);
+  const available = new Set(getAllModels().map(m => m.fullName));
+  const invalid = Object.entries(router).filter(([role, model]) =>
+    !VALID_ROLES.includes(role) || !available.has(ccrFormatToDisplay(model))
+  );
+  if (invalid.length > 0) {
+    fail(
+      'PROFILE_INVALID',
+      `Profile '${name}' references unknown roles or models: ` +
+        invalid.map(([role, model]) => `${role}=${ccrFormatToDisplay(model)}`).join(', '),
+      'Nothing was changed. Re-save the profile or import the missing providers.'
+    );
+  }
 
-  // Method 1: Try exact match by encoding the cwd path
-  // Claude encodes path as: leading slash becomes leading dash, other slashes become dashes
-  const encodedCwd = '-' + cwd.replace(/^\//, '').replace(/\//g, '-');
+  const configPath = writeRouterAtLevel(level, router);
 
-  if (projects.includes(encodedCwd)) {
-    return encodedCwd;
+  say(`✅ Applied profile '${name}' (${LEVEL_LABELS[level]})`);
+  for (const [role, model] of Object.entries(router)) {
+    say(`   ${role.padEnd(12)} ${ccrFormatToDisplay(model)}`);
   }
+  say(`   Config saved to: ${configPath}`);
 
-  // Method 2: Fallback - match by basename (less precise, handles edge cases)
-  const cwdFolder = path.basename(cwd);
-  const candidates = [];
+  // CCR reads session config per-request, no daemon restart needed
+  const restarted = level === 'session' ? false : requestDaemonRestart();
+  return { profile: name, level, router, path: configPath, restarted };
+}
 
-  for (const projectId of projects) {
-    if (projectId.endsWith('-' + cwdFolder)) {
-      const projectPath = path.join(CLAUDE_PROJECTS_DIR, projectId);
-      if (fs.statSync(projectPath).isDirectory()) {
-        candidates.push(projectId);
-      }
+function listProfiles() {
+  const profiles = getProfiles();
+
+  if (jsonOutput) return { profiles };
+
+  const names = Object.keys(profiles);
+  if (names.length === 0) {
+    console.log('No profiles saved yet.');
+    console.log('Run: ccr-model profile save <name>   to save the current setup');
+    return;
+  }
+
+  for (const name of names) {
+    console.log(`  ${name}:`);
+    for (const [role, model] of Object.entries(profiles[name])) {
+      console.log(`    ${role.padEnd(12)} ${ccrFormatToDisplay(model)}`);
     }
+    console.log('');
   }
+}
+
+function removeProfile(name) {
+  updateProfiles(profiles => {
+    if (!profiles[name]) {
+      fail('PROFILE_NOT_FOUND', `Profile not found: ${name}`);
+    }
+    delete profiles[name];
+    return profiles;
+  });
+  say(`✅ Profile '${name}' removed`);
+  return { profile: name, removed: true };
+}
+
+function profileCommand(args) {
+  const subcommand = args[1] || 'list';
+  const name = args[2];
+  const rest = args.slice(3).filter(a => !a.startsWith('--'));
 
-  // If only one match, use it
-  if (candidates.length === 1) {
-    return candidates[0];
+  if (subcommand !== 'list' && !name) {
+    fail('MISSING_ARGUMENT', 'Please provide a profile name');
   }
 
-  // If multiple matches, try to find the best one by checking path depth
-  if (candidates.length > 1) {
-    // Prefer the one with more path segments (more specific match)
-    candidates.sort((a, b) => {
-      const segmentsA = (a.match(/-/g) || []).length;
-      const segmentsB = (b.match(/-/g) || []).length;
-      return segmentsB - segmentsA;
-    });
-    return candidates[0];
+  switch (subcommand) {
+    case 'save':
+      return saveProfile(name, rest, args);
+    case 'apply': {
+      const level = args.includes('--session') ? 'session'
+        : args.includes('--project') ? 'project' : 'global';
+      return applyProfile(name, level);
+    }
+    case 'list':
+      return listProfiles();
+    case 'rm':
+    case 'remove':
+      return removeProfile(name);
+    default:
+      fail('UNKNOWN_COMMAND', `Unknown profile command: ${subcommand}`, 'Use: profile save|apply|list|rm');
   }
+}
 
-  return null;
+// ============ User Aliases ============
+
+function getUserAliases() {
+  const data = readJSONFile(ALIASES_PATH) || {};
+  return { models: data.models || {}, providers: data.providers || {} };
 }
 
 /**
- * Get current session ID with source information.
- *
- * Priority:
- * 1. CLAUDE_CODE_SESSION_ID env var (set in MCP-CLI mode)
- * 2. Session cache file written by show-model hook (keyed by Claude Code PID)
- * 3. Fallback: most recently modified .jsonl file (unreliable with concurrent sessions)
- *
- * @returns {{ id: string, source: 'env'|'cache'|'mtime' } | null}
+ * Read-modify-write aliases.json under its lock (no history snapshot).
  */
-function resolveSessionId() {
-  const envSessionId = process.env.CLAUDE_CODE_SESSION_ID;
-  if (envSessionId) {
-    return { id: envSessionId, source: 'env' };
+function updateUserAliases(mutate) {
+  return updateConfigFile(ALIASES_PATH, null, data => {
+    const aliases = { models: {}, providers: {}, ...(data || {}) };
+    return mutate(aliases);
+  });
+}
+
+/**
+ * Point aliases of a renamed provider at its new name.
+ */
+function renameAliasTargets(oldName, newName) {
+  if (!fs.existsSync(ALIASES_PATH)) return;
+  updateUserAliases(aliases => {
+    let changed = false;
+    for (const [alias, target] of Object.entries(aliases.models)) {
+      const [p, ...rest] = target.split(',');
+      if (p === oldName) {
+        aliases.models[alias] = [newName, ...rest].join(',');
+        changed = true;
+      }
+    }
+    for (const [alias, target] of Object.entries(aliases.providers)) {
+      if (target === oldName) {
+        aliases.providers[alias] = newName;
+        changed = true;
+      }
+    }
+    return changed ? aliases : undefined;
+  });
+}
+
+/**
+ * Add an alias. A target containing "/" (or ",") is a model, otherwise a provider.
+ */
+function addAlias(alias, target) {
+  if (!alias || !/^[\w.-]+$/.test(alias)) {
+    fail('INVALID_NAME', `Invalid alias: ${alias || '(empty)'}`, '   Use letters, digits, ".", "_" or "-"');
+  }
+  if (!target) {
+    fail('MISSING_ARGUMENT', 'Please provide the alias target', '   e.g. ccr-model alias add fast glm/glm-5   or   ccr-model alias add z zhipu');
   }
+  alias = alias.toLowerCase();
 
-  const cachedId = getSessionIdFromCache();
-  if (cachedId) {
-    return { id: cachedId, source: 'cache' };
+  const config = getCCRConfig();
+  if (!config) {
+    fail('NO_CONFIG', 'Cannot read CCR config');
   }
 
-  const mtimeId = getSessionIdByMtime(getCurrentProjectId());
-  if (mtimeId) {
-    return { id: mtimeId, source: 'mtime' };
+  const kind = /[/,]/.test(target) ? 'model' : 'provider';
+  let value;
+  if (kind === 'model') {
+    value = target.replace('/', ',');
+    if (!getAllModels().some(m => m.fullName.replace('/', ',') === value)) {
+      fail('NO_MATCH', `No such model: ${ccrFormatToDisplay(value)}`, '   Use the full provider/model name (see: ccr-model list)');
+    }
+  } else {
+    if (!findProvider(config, target)) {
+      fail('PROVIDER_NOT_FOUND', `Provider not found: ${target}`);
+    }
+    value = target;
   }
 
-  return null;
+  // Generated aliases this one now shadows
+  const shadowed = kind === 'model'
+    ? getDynamicAliases().modelAliases[alias]
+    : Object.entries(getDynamicAliases().providerAliases).find(([, als]) => als.includes(alias))?.[0];
+
+  let replaced = null;
+  updateUserAliases(aliases => {
+    const table = kind === 'model' ? aliases.models : aliases.providers;
+    replaced = table[alias] || null;
+    table[alias] = value;
+    return aliases;
+  });
+
+  const shown = kind === 'model' ? ccrFormatToDisplay(value) : value;
+  say(`✅ Alias '${alias}' → ${shown}${replaced ? ` (was ${kind === 'model' ? ccrFormatToDisplay(replaced) : replaced})` : ''}`);
+  if (shadowed && shadowed !== shown) {
+    log(`'${alias}' was a generated alias of ${shadowed}; the user alias takes priority`, 'warning');
+  }
+  return { alias, kind, target: shown, replaced, shadowed: shadowed || null };
 }
 
-/** Convenience wrapper that returns just the session ID string. */
-function getCurrentSessionId() {
-  const result = resolveSessionId();
-  return result ? result.id : null;
+function removeAlias(alias) {
+  alias = (alias || '').toLowerCase();
+  let kind = null;
+  updateUserAliases(aliases => {
+    kind = alias in aliases.models ? 'models' : alias in aliases.providers ? 'providers' : null;
+    if (!kind) {
+      fail('ALIAS_NOT_FOUND', `Alias not found: ${alias}`, '   See: ccr-model alias list');
+    }
+    delete aliases[kind][alias];
+    return aliases;
+  });
+  say(`✅ Alias '${alias}' removed`);
+  return { alias, removed: true };
 }
 
 /**
- * Walk up the process tree to find a session cache file written by the hook.
- *
- * Process chain: Claude Code (writes cache) → sh → node ccr-model.js
- * The hook's process.ppid is Claude Code's PID, so we walk up from our PID
- * until we find a matching cache file or reach PID 1.
+ * Generated aliases per model, and aliases generated for more than one model.
+ * For a collision, `fuzzyMatch()` resolves the alias to the first model listed.
  */
-function getSessionIdFromCache() {
-  if (!fs.existsSync(SESSION_CACHE_DIR)) return null;
+function getGeneratedAliases() {
+  const models = getAllModels();
+  const owners = {};
+  const perModel = models.map(m => {
+    const aliases = generateModelAliases(m.model);
+    for (const alias of aliases) {
+      owners[alias] = owners[alias] || [];
+      if (!owners[alias].includes(m.fullName)) owners[alias].push(m.fullName);
+    }
+    return { model: m.fullName, aliases };
+  });
 
-  let pid = process.ppid;
-  const maxDepth = 5; // Claude Code is at most a few levels up
+  const collisions = Object.entries(owners)
+    .filter(([, list]) => list.length > 1)
+    .map(([alias, list]) => ({ alias, models: list }));
+  return { models: perModel, providers: getDynamicAliases().providerAliases, collisions };
+}
+
+function listAliases(args) {
+  const user = getUserAliases();
+  const known = new Set(getAllModels().map(m => m.fullName.replace('/', ',')));
+  const config = getCCRConfig();
+  const generated = args.includes('--generated') ? getGeneratedAliases() : null;
+
+  if (jsonOutput) {
+    return {
+      models: Object.fromEntries(Object.entries(user.models).map(([a, t]) => [a, ccrFormatToDisplay(t)])),
+      providers: user.providers,
+      ...(generated ? { generated } : {})
+    };
+  }
+
+  const userEntries = [
+    ...Object.entries(user.models).map(([a, t]) => [a, ccrFormatToDisplay(t), known.has(t)]),
+    ...Object.entries(user.providers).map(([a, t]) => [a, `${t} (provider)`, !!(config && findProvider(config, t))])
+  ];
+  console.log('User aliases:');
+  if (userEntries.length === 0) {
+    console.log('  (none) Add one with: ccr-model alias add <alias> <provider/model>');
+  }
+  for (const [alias, target, exists] of userEntries) {
+    console.log(`  ${alias.padEnd(16)} → ${target}${exists ? '' : '  ⚠️  missing'}`);
+  }
+
+  if (!generated) return;
+
+  console.log('\nGenerated model aliases:');
+  for (const { model, aliases } of generated.models) {
+    console.log(`  ${model}`);
+    console.log(`    ${aliases.join(', ')}`);
+  }
+
+  console.log('\nGenerated provider aliases:');
+  for (const [provider, aliases] of Object.entries(generated.providers)) {
+    console.log(`  ${provider.padEnd(16)} ${aliases.join(', ')}`);
+  }
+
+  console.log('\nCollisions:');
+  if (generated.collisions.length === 0) {
+    console.log('  (none)');
+  }
+  for (const { alias, models } of generated.collisions) {
+    const override = user.models[alias] ? ` (user alias → ${ccrFormatToDisplay(user.models[alias])})` : '';
+    console.log(`  ${alias.padEnd(16)} ${models.join(', ')}${override}`);
+  }
+}
+
+function aliasCommand(args) {
+  const subcommand = args[1] || 'list';
+  const name = args[2];
+
+  switch (subcommand) {
+    case 'add':
+      return addAlias(name, args[3]);
+    case 'rm':
+    case 'remove':
+      if (!name) {
+        fail('MISSING_ARGUMENT', 'Please provide an alias to remove');
+      }
+      return removeAlias(name);
+    case 'list':
+      return listAliases(args);
+    default:
+      fail('UNKNOWN_COMMAND', `Unknown alias command: ${subcommand}`, 'Use: alias add|rm|list');
+  }
+}
+
+// ============ Provider Management ============
+
+function findProvider(config, name) {
+  return (config.Providers || []).find(p => p.name === name) || null;
+}
+
+function validateProviderName(name) {
+  if (!name || /[,/\s]/.test(name)) {
+    fail('INVALID_NAME', `Invalid provider name: ${name || '(empty)'}`, '   Provider names cannot contain ",", "/" or spaces');
+  }
+}
+
+function validateProviderUrl(url) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    // handled below
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    fail('INVALID_URL', `Invalid api_base_url: ${url}`, '   Use a full http(s):// URL');
+  }
+}
 
-  for (let i = 0; i < maxDepth && pid > 1; i++) {
-    const cachePath = path.join(SESSION_CACHE_DIR, `${pid}.json`);
-    if (fs.existsSync(cachePath)) {
-      try {
-        const data = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+function parseModelList(value) {
+  return value.split(',').map(m => m.trim()).filter(m => m);
+}
 
-        // Validate the cached session is still alive (PID still running)
-        try {
-          process.kill(data.pid, 0);
-        } catch (e) {
-          // Process is dead, remove stale cache
-          try { fs.unlinkSync(cachePath); } catch (_) {}
-          return null;
-        }
+/**
+ * Every role → "provider,model" map in a config object: its Router and, in a
+ * project config, the per-branch overrides (Branches), what sync-branch
+ * materialized (BranchSync) and what sync-project wrote (RepoSync).
+ *
+ * @returns {Array<{ map: string|null, roles: object }>} map is null for Router
+ */
+function listRoleMaps(configObject) {
+  const maps = [];
+  if (configObject?.Router) maps.push({ map: null, roles: configObject.Router });
+  for (const [branch, roles] of Object.entries(configObject?.Branches || {})) {
+    if (roles) maps.push({ map: `Branches.${branch}`, roles });
+  }
+  if (configObject?.BranchSync?.roles) maps.push({ map: 'BranchSync.roles', roles: configObject.BranchSync.roles });
+  if (configObject?.BranchSync?.replaced) maps.push({ map: 'BranchSync.replaced', roles: configObject.BranchSync.replaced });
+  if (configObject?.RepoSync?.roles) maps.push({ map: 'RepoSync.roles', roles: configObject.RepoSync.roles });
+  return maps;
+}
 
-        return data.session_id;
-      } catch (e) {
-        return null;
+/**
+ * Apply `mapValue(role, value)` to every role map of a config object (see
+ * listRoleMaps), so branch overrides and sync records stay consistent with
+ * the Router. mapValue returns the new value, undefined to keep it, or null
+ * to drop the role.
+ *
+ * @returns {Array<{ role: string, from: string, to: string|null, map?: string }>} changes made
+ */
+function mapRouterRoles(configObject, mapValue) {
+  const changes = [];
+
+  for (const { map, roles } of listRoleMaps(configObject)) {
+    for (const role of VALID_ROLES) {
+      const value = roles[role];
+      if (!value || typeof value !== 'string') continue;
+      const next = mapValue(role, value);
+      if (next === undefined || next === value) continue;
+      if (next === null) {
+        delete roles[role];
+      } else {
+        roles[role] = next;
       }
+      changes.push({ role, from: value, to: next, ...(map && { map }) });
     }
+  }
 
-    // Walk up: get parent PID of current pid
-    try {
-      const ppidStr = execSync(`ps -o ppid= -p ${pid}`, { encoding: 'utf-8' }).trim();
-      pid = parseInt(ppidStr, 10);
-      if (isNaN(pid)) break;
-    } catch (e) {
-      break;
+  // A branch left without overrides is gone; so is the branch level if none remain
+  if (configObject?.Branches && changes.length > 0) {
+    for (const [branch, roles] of Object.entries(configObject.Branches)) {
+      if (Object.keys(roles || {}).length === 0) delete configObject.Branches[branch];
+    }
+    if (Object.keys(configObject.Branches).length === 0) {
+      delete configObject.Branches;
+      delete configObject.BranchSync;
     }
   }
-
-  return null;
+  return changes;
 }
 
 /**
- * Fallback: Get session ID from the most recent .jsonl file.
- * Unreliable when multiple sessions are open in the same directory.
+ * Apply mapRouterRoles to every project/session override file and every saved
+ * profile, each under its own lock. The global config is handled by the
+ * caller, which commits it first: holding its lock across every other file
+ * could outlast the stale-lock timeout.
+ *
+ * @returns {Array<{ path: string, level: string, role: string, from: string, to: string|null }>}
  */
-function getSessionIdByMtime(projectId) {
-  if (!projectId) return null;
-
-  const projectDir = path.join(CLAUDE_PROJECTS_DIR, projectId);
-
-  if (!fs.existsSync(projectDir)) return null;
-
-  const files = fs.readdirSync(projectDir)
-    .filter(f => f.endsWith('.jsonl'))
-    .sort((a, b) => {
-      const statA = fs.statSync(path.join(projectDir, a));
-      const statB = fs.statSync(path.join(projectDir, b));
-      return statB.mtimeMs - statA.mtimeMs;
+function rewriteOverrideReferences(mapValue) {
+  const changes = [];
+
+  for (const file of listOverrideFiles()) {
+    updateConfigFile(file.path, file.level, content => {
+      if (!content) return undefined;
+      const fileChanges = mapRouterRoles(content, mapValue);
+      if (fileChanges.length === 0) return undefined;
+      fileChanges.forEach(c => changes.push({ path: file.path, level: file.level, ...c }));
+      return content;
     });
+  }
 
-  if (files.length > 0) {
-    return files[0].replace('.jsonl', '');
+  if (fs.existsSync(PROFILES_PATH)) {
+    updateProfiles(profiles => {
+      let profilesChanged = false;
+      for (const [name, router] of Object.entries(profiles)) {
+        const wrapper = { Router: router };
+        const profileChanges = mapRouterRoles(wrapper, mapValue);
+        if (profileChanges.length === 0) continue;
+        profiles[name] = wrapper.Router;
+        profilesChanged = true;
+        profileChanges.forEach(c => changes.push({ path: `${PROFILES_PATH}#${name}`, level: 'profile', ...c }));
+      }
+      return profilesChanged ? profiles : undefined;
+    });
   }
 
-  return null;
+  return changes;
 }
 
 /**
- * Set model at project or session level
- * CCR reads configs from ~/.claude-code-router/<project-id>/ directory
+ * Find every role (global, overrides including their branch and sync maps,
+ * profiles) that uses a provider, optionally limited to some of its models.
+ * Read-only.
  */
-function setModelAtLevel(query, args, level) {
-  const models = getAllModels();
-  if (models.length === 0) {
-    log('No models available.', 'error');
-    console.log('Try: ccr-model import   to import from cc-switch');
-    process.exit(1);
+function findProviderReferences(config, providerName, models = null) {
+  const uses = value => {
+    const [p, m] = value.split(',');
+    return p === providerName && (!models || models.includes(m));
+  };
+  const refs = [];
+  for (const role of VALID_ROLES) {
+    const value = config.Router?.[role];
+    if (typeof value === 'string' && uses(value)) {
+      refs.push({ path: CCR_CONFIG_PATH, level: 'global', role, value });
+    }
   }
-
-  // Filter out option flags from query
-  const cleanQuery = query.replace(/--\S+/g, '').trim();
-  const matches = fuzzyMatch(models, cleanQuery);
-
-  if (matches.length === 0) {
-    console.error(`No models found matching: ${cleanQuery}`);
-    process.exit(1);
+  for (const file of listOverrideFiles()) {
+    for (const { map, roles } of listRoleMaps(readJSONFile(file.path))) {
+      for (const role of VALID_ROLES) {
+        if (typeof roles[role] === 'string' && uses(roles[role])) {
+          refs.push({ path: file.path, level: file.level, role, value: roles[role], ...(map && { map }) });
+        }
+      }
+    }
   }
-
-  const uniqueMatches = [];
-  const seen = new Set();
-  for (const m of matches) {
-    if (!seen.has(m.fullName)) {
-      seen.add(m.fullName);
-      uniqueMatches.push(m);
+  for (const [name, router] of Object.entries(getProfiles())) {
+    for (const role of VALID_ROLES) {
+      if (typeof router[role] === 'string' && uses(router[role])) {
+        refs.push({ path: `${PROFILES_PATH}#${name}`, level: 'profile', role, value: router[role] });
+      }
     }
   }
+  return refs;
+}
 
-  const selected = uniqueMatches[0];
-  const fullModelName = selected.fullName;
-  const ccrFormat = fullModelName.replace('/', ',');
+/** "role", or "Branches.<branch>.role" etc. for roles outside the Router. */
+function formatRoleRef(ref) {
+  return ref.map ? `${ref.map}.${ref.role}` : ref.role;
+}
 
-  // Parse role option
-  const roleArg = args.find(a => a.startsWith('--role=') || a.startsWith('-r='));
-  const role = roleArg ? roleArg.split('=')[1] : null;
-  const validRoles = ['default', 'think', 'longContext', 'webSearch', 'background', 'image'];
+function printReferenceChanges(changes) {
+  for (const c of changes) {
+    const where = c.path.replace(process.env.HOME, '~');
+    say(`   ${where}: ${formatRoleRef(c)} ${ccrFormatToDisplay(c.from)} → ${c.to ? ccrFormatToDisplay(c.to) : '(removed)'}`);
+  }
+}
 
-  // Get project ID
-  const projectId = getCurrentProjectId();
+function addProvider(name, args) {
+  validateProviderName(name);
+  const url = getOption(args, 'url');
+  const key = getOption(args, 'key');
+  const models = parseModelList(getOption(args, 'models') || '');
+  if (!url || models.length === 0) {
+    fail('MISSING_ARGUMENT', 'provider add needs --url and --models', '   e.g. ccr-model provider add glm --url https://... --key sk-... --models glm-5,glm-4.7');
+  }
+  validateProviderUrl(url);
+
+  const transformerOption = getOption(args, 'transformer');
+  const provider = {
+    name,
+    api_base_url: url,
+    api_key: key || '',
+    models,
+    transformer: transformerOption
+      ? { use: [transformerOption] }
+      : translateTransformer(name, url, models).transformer
+  };
+  const transformer = provider.transformer.use.map(t => (Array.isArray(t) ? t[0] : t)).join(', ');
 
-  if (level === 'project') {
-    // Project-level config - CCR reads from ~/.claude-code-router/<project-id>/config.json
-    if (!projectId) {
-      console.error('❌ Cannot determine current project. Make sure you are in a Claude Code project.');
-      process.exit(1);
+  updateCCRConfig(config => {
+    if (!config) {
+      fail('NO_CONFIG', 'Cannot read CCR config');
     }
+    if (findProvider(config, name)) {
+      fail('PROVIDER_EXISTS', `Provider already exists: ${name}`, `   Use: ccr-model provider edit ${name}`);
+    }
+    config.Providers = config.Providers || [];
+    config.Providers.push(provider);
+    return config;
+  });
+
+  say(`✅ Added provider '${name}' (${models.length} model(s), transformer: ${transformer})`);
+  if (!key) log('No --key given; api_key is empty', 'warning');
+
+  const restarted = requestDaemonRestart();
+  return { provider: { ...provider, api_key: provider.api_key ? '***' : '' }, restarted };
+}
 
-    const projectConfigPath = path.join(CCR_PROJECTS_DIR, projectId, 'config.json');
+function editProvider(name, args) {
+  const url = getOption(args, 'url');
+  const key = getOption(args, 'key');
+  const models = getOption(args, 'models');
+  const transformer = getOption(args, 'transformer');
+  if (url === null && key === null && models === null && transformer === null) {
+    fail('MISSING_ARGUMENT', 'Nothing to change', '   Use --url, --key, --models or --transformer');
+  }
+  if (url !== null) {
+    validateProviderUrl(url);
+  }
+  const nextModels = models !== null ? parseModelList(models) : null;
+  if (nextModels && nextModels.length === 0) {
+    fail('MISSING_ARGUMENT', '--models cannot be empty');
+  }
 
-    // Ensure directory exists
-    const projectDir = path.dirname(projectConfigPath);
-    if (!fs.existsSync(projectDir)) {
-      fs.mkdirSync(projectDir, { recursive: true });
+  const changed = [];
+  let danglingRefs = [];
+  updateCCRConfig(config => {
+    if (!config) {
+      fail('NO_CONFIG', 'Cannot read CCR config');
+    }
+    const provider = findProvider(config, name);
+    if (!provider) {
+      fail('PROVIDER_NOT_FOUND', `Provider not found: ${name}`);
     }
 
-    // Read or create project config
-    let projectConfig = {};
-    if (fs.existsSync(projectConfigPath)) {
-      try {
-        projectConfig = JSON.parse(fs.readFileSync(projectConfigPath, 'utf-8'));
-      } catch (e) {
-        projectConfig = {};
-      }
+    if (url !== null) {
+      provider.api_base_url = url;
+      changed.push('api_base_url');
+    }
+    if (key !== null) {
+      provider.api_key = key;
+      changed.push('api_key');
+    }
+    let removedModels = [];
+    if (nextModels) {
+      removedModels = (provider.models || []).filter(m => !nextModels.includes(m));
+      provider.models = nextModels;
+      changed.push('models');
+    }
+    if (transformer !== null) {
+      provider.transformer = { ...(provider.transformer || {}), use: [transformer] };
+      changed.push('transformer');
     }
 
-    projectConfig.Router = projectConfig.Router || {};
+    // Removed models may still be referenced; flag them rather than guess a replacement
+    if (removedModels.length > 0) {
+      danglingRefs = findProviderReferences(config, name, removedModels);
+    }
+    return config;
+  });
 
-    if (role && validRoles.includes(role)) {
-      projectConfig.Router[role] = ccrFormat;
-      console.log(`✅ Project-level: Set role '${role}' to ${fullModelName}`);
-    } else {
-      // Set all roles
-      projectConfig.Router.default = ccrFormat;
-      projectConfig.Router.think = ccrFormat;
-      projectConfig.Router.background = ccrFormat;
-      projectConfig.Router.longContext = ccrFormat;
-      projectConfig.Router.webSearch = ccrFormat;
-      projectConfig.Router.image = ccrFormat;
-      console.log(`✅ Project-level: Set all roles to ${fullModelName}`);
-    }
-
-    fs.writeFileSync(projectConfigPath, JSON.stringify(projectConfig, null, 2));
-    console.log(`   Config saved to: ${projectConfigPath}`);
-    restartCCRDaemon();
-    return;
+  say(`✅ Updated provider '${name}': ${changed.join(', ')}`);
+  if (danglingRefs.length > 0) {
+    log(`Removed models are still referenced by ${danglingRefs.length} role(s):`, 'warning');
+    danglingRefs.forEach(r => say(`   ${r.path.replace(process.env.HOME, '~')}: ${formatRoleRef(r)} = ${ccrFormatToDisplay(r.value)}`));
+    say('   Run: ccr-model set <model> --role=<role>   to repoint them');
   }
 
-  if (level === 'session') {
-    // Session-level config - CCR reads from ~/.claude-code-router/<project-id>/<sessionId>.json
-    const sessionId = getCurrentSessionId();
-    if (!projectId || !sessionId) {
-      console.error('❌ Cannot determine current project/session. Make sure you are in a Claude Code project with an active session.');
-      process.exit(1);
-    }
+  const restarted = requestDaemonRestart();
+  return { provider: name, changed, danglingReferences: danglingRefs, restarted };
+}
 
-    const sessionConfigPath = path.join(CCR_PROJECTS_DIR, projectId, `${sessionId}.json`);
+/**
+ * Remove a provider. Roles that still use it are listed and the command is
+ * refused unless --force is given, in which case those roles are removed too.
+ */
+function removeProvider(name, args) {
+  const dropRefs = (role, value) => (value.split(',')[0] === name ? null : undefined);
+  let changes = [];
 
-    // Read or create session config
-    let sessionConfig = {};
-    if (fs.existsSync(sessionConfigPath)) {
-      try {
-        sessionConfig = JSON.parse(fs.readFileSync(sessionConfigPath, 'utf-8'));
-      } catch (e) {
-        sessionConfig = {};
+  updateCCRConfig(config => {
+    if (!config) {
+      fail('NO_CONFIG', 'Cannot read CCR config');
+    }
+    if (!findProvider(config, name)) {
+      fail('PROVIDER_NOT_FOUND', `Provider not found: ${name}`);
+    }
+
+    const refs = findProviderReferences(config, name);
+    if (refs.length > 0 && !args.includes('--force')) {
+      if (!jsonOutput) {
+        log(`Provider '${name}' is still used by ${refs.length} role(s):`, 'warning');
+        refs.forEach(r => say(`   ${r.path.replace(process.env.HOME, '~')}: ${formatRoleRef(r)} = ${ccrFormatToDisplay(r.value)}`));
       }
+      fail('PROVIDER_IN_USE', `Provider '${name}' is still referenced by ${refs.length} role(s)`,
+        '   Repoint those roles first, or re-run with --force to remove them as well');
     }
 
-    sessionConfig.Router = sessionConfig.Router || {};
+    config.Providers = config.Providers.filter(p => p.name !== name);
+    changes = mapRouterRoles(config, dropRefs).map(c => ({ path: CCR_CONFIG_PATH, level: 'global', ...c }));
+    return config;
+  });
+  changes.push(...rewriteOverrideReferences(dropRefs));
 
-    if (role && validRoles.includes(role)) {
-      sessionConfig.Router[role] = ccrFormat;
-      console.log(`✅ Session-level: Set role '${role}' to ${fullModelName}`);
-    } else {
-      // Set all roles for session level
-      sessionConfig.Router.default = ccrFormat;
-      sessionConfig.Router.think = ccrFormat;
-      sessionConfig.Router.background = ccrFormat;
-      sessionConfig.Router.longContext = ccrFormat;
-      sessionConfig.Router.webSearch = ccrFormat;
-      sessionConfig.Router.image = ccrFormat;
-      console.log(`✅ Session-level: Set all roles to ${fullModelName}`);
-    }
-
-    fs.writeFileSync(sessionConfigPath, JSON.stringify(sessionConfig, null, 2));
-    console.log(`   Config saved to: ${sessionConfigPath}`);
-    // CCR reads session config per-request, no daemon restart needed
-    return;
+  say(`✅ Removed provider '${name}'`);
+  if (changes.length > 0) {
+    say(`   Removed ${changes.length} role reference(s):`);
+    printReferenceChanges(changes);
   }
-}
 
-function setModel(query, args) {
-  const models = getAllModels();
-  if (models.length === 0) {
-    log('No models available.', 'error');
-    console.log('Try: ccr-model import   to import from cc-switch');
-    process.exit(1);
-  }
+  const restarted = requestDaemonRestart();
+  return { provider: name, removed: true, references: changes, restarted };
+}
 
-  // Filter out option flags from query
-  const cleanQuery = query.replace(/--\S+/g, '').trim();
+/**
+ * Rename a provider and rewrite every Router reference to it.
+ */
+function renameProvider(oldName, newName) {
+  validateProviderName(newName);
+  const renameRefs = (role, value) => {
+    const [p, ...rest] = value.split(',');
+    return p === oldName ? [newName, ...rest].join(',') : undefined;
+  };
+  let changes = [];
 
-  const matches = fuzzyMatch(models, cleanQuery);
+  updateCCRConfig(config => {
+    if (!config) {
+      fail('NO_CONFIG', 'Cannot read CCR config');
+    }
+    const provider = findProvider(config, oldName);
+    if (!provider) {
+      fail('PROVIDER_NOT_FOUND', `Provider not found: ${oldName}`);
+    }
+    if (findProvider(config, newName)) {
+      fail('PROVIDER_EXISTS', `Provider already exists: ${newName}`);
+    }
 
-  if (matches.length === 0) {
-    console.error(`No models found matching: ${query}`);
-    process.exit(1);
+    provider.name = newName;
+    changes = mapRouterRoles(config, renameRefs).map(c => ({ path: CCR_CONFIG_PATH, level: 'global', ...c }));
+    return config;
+  });
+  changes.push(...rewriteOverrideReferences(renameRefs));
+  renameAliasTargets(oldName, newName);
+  renameSyncState(oldName, newName);
+
+  say(`✅ Renamed provider '${oldName}' → '${newName}'`);
+  if (changes.length > 0) {
+    say(`   Rewrote ${changes.length} role reference(s):`);
+    printReferenceChanges(changes);
   }
 
-  // Get unique matches
-  const uniqueMatches = [];
-  const seen = new Set();
-  for (const m of matches) {
-    if (!seen.has(m.fullName)) {
-      seen.add(m.fullName);
-      uniqueMatches.push(m);
-    }
+  const restarted = requestDaemonRestart();
+  return { from: oldName, to: newName, references: changes, restarted };
+}
+
+/**
+ * Candidate model-listing URLs for a provider. CCR's api_base_url is either a
+ * base URL (Anthropic style) or a full chat/messages endpoint (OpenAI style),
+ * so the endpoint suffix is stripped before appending /v1/models.
+ */
+function getModelListUrls(apiBaseUrl) {
+  const base = apiBaseUrl
+    .replace(/\/+$/, '')
+    .replace(/\/(chat\/completions|messages|completions)$/, '')
+    .replace(/\/+$/, '');
+
+  const urls = [];
+  if (/\/v\d+[a-z]*$/.test(base)) {
+    urls.push(`${base}/models`);
   }
+  urls.push(`${base}/v1/models`);
+  return urls;
+}
 
-  const selected = uniqueMatches[0];
-  const fullModelName = selected.fullName;
+/**
+ * Fetch model IDs from a provider's OpenAI- or Anthropic-style listing endpoint.
+ * Follows Anthropic pagination (has_more / last_id).
+ *
+ * @returns {Promise<{ url: string, models: string[] }>}
+ */
+async function fetchProviderModels(provider) {
+  const headers = {
+    'Authorization': `Bearer ${provider.api_key}`,
+    'x-api-key': provider.api_key,
+    'anthropic-version': '2023-06-01'
+  };
 
-  if (uniqueMatches.length > 1) {
-    console.log(`⚠️  Multiple matches found. Using first match: ${fullModelName}\n`);
-    console.log('All matches:');
-    uniqueMatches.forEach((m, i) => {
-      console.log(`  ${i + 1}. ${m.fullName}`);
-    });
-    console.log('');
+  const errors = [];
+  for (const url of getModelListUrls(provider.api_base_url)) {
+    try {
+      const models = [];
+      let pageUrl = url;
+      for (let page = 0; page < 20 && pageUrl; page++) {
+        const res = await fetch(pageUrl, { headers, signal: AbortSignal.timeout(15000) });
+        if (!res.ok) {
+          throw new Error(`HTTP ${res.status}`);
+        }
+        const body = await res.json();
+        const list = Array.isArray(body) ? body : (body.data || body.models);
+        if (!Array.isArray(list)) {
+          throw new Error('response has no model list');
+        }
+        for (const item of list) {
+          const id = typeof item === 'string' ? item : (item.id || item.name);
+          if (id && !models.includes(id)) models.push(id);
+        }
+        pageUrl = body.has_more && body.last_id
+          ? `${url}${url.includes('?') ? '&' : '?'}after_id=${encodeURIComponent(body.last_id)}`
+          : null;
+      }
+      return { url, models };
+    } catch (e) {
+      errors.push(`${url}: ${e.message}`);
+    }
   }
 
-  // Convert provider/model format to provider,model format (CCR uses comma)
-  const ccrFormat = fullModelName.replace('/', ',');
+  const err = new Error(errors.join('; '));
+  err.code = 'FETCH_FAILED';
+  throw err;
+}
 
-  // Parse role option
-  const roleArg = args.find(a => a.startsWith('--role=') || a.startsWith('-r='));
-  const role = roleArg ? roleArg.split('=')[1] : null;
+/**
+ * Sync a provider's `models` with what its API reports.
+ * Shows added/removed models and updates the config after confirmation.
+ */
+async function syncProvider(name, args) {
+  const config = getCCRConfig();
+  if (!config) {
+    fail('NO_CONFIG', 'Cannot read CCR config');
+  }
+  const provider = findProvider(config, name);
+  if (!provider) {
+    fail('PROVIDER_NOT_FOUND', `Provider not found: ${name}`);
+  }
+  if (!provider.api_base_url) {
+    fail('INVALID_URL', `Provider '${name}' has no api_base_url`);
+  }
 
-  // Valid roles
-  const validRoles = ['default', 'think', 'longContext', 'webSearch', 'background', 'image'];
+  say(`🔍 Fetching models for '${name}'...`);
+  let fetched;
+  try {
+    fetched = await fetchProviderModels(provider);
+  } catch (e) {
+    fail('FETCH_FAILED', `Could not list models for '${name}'`, `   ${e.message}`);
+  }
 
-  // Get existing config
-  const config = getCCRConfig();
+  const current = provider.models || [];
+  const added = fetched.models.filter(m => !current.includes(m));
+  const removed = current.filter(m => !fetched.models.includes(m));
+  const doc = { provider: name, url: fetched.url, models: fetched.models, added, removed, applied: false, restarted: false };
 
-  console.log(`✅ Setting model to: ${fullModelName}`);
+  say(`   Source: ${fetched.url} (${fetched.models.length} model(s))`);
+  if (added.length === 0 && removed.length === 0) {
+    say(`✅ '${name}' is already up to date`);
+    return doc;
+  }
 
-  config.Router = config.Router || {};
+  added.forEach(m => say(`   + ${m}`));
+  removed.forEach(m => say(`   - ${m}`));
 
-  if (role && validRoles.includes(role)) {
-    // Set specific role only
-    config.Router[role] = ccrFormat;
-    console.log(`   Role '${role}' = ${ccrFormat}`);
-    console.log(`   Other roles unchanged.`);
-  } else if (!role) {
-    // Set all roles (default behavior)
-    config.Router.default = ccrFormat;
-    config.Router.think = ccrFormat;
-    config.Router.background = ccrFormat;
-    config.Router.longContext = ccrFormat;
-    config.Router.webSearch = ccrFormat;
-    config.Router.image = ccrFormat;
-    console.log(`   All roles = ${ccrFormat}`);
+  const danglingRefs = removed.length > 0 ? findProviderReferences(config, name, removed) : [];
+  if (danglingRefs.length > 0) {
+    log(`Removed models are still referenced by ${danglingRefs.length} role(s):`, 'warning');
+    danglingRefs.forEach(r => say(`   ${r.path.replace(process.env.HOME, '~')}: ${formatRoleRef(r)} = ${ccrFormatToDisplay(r.value)}`));
   }
+  doc.danglingReferences = danglingRefs;
 
-  saveCCRConfig(config);
+  if (!confirm(`Update '${name}' models?`, args)) {
+    say('No changes made. Re-run with --yes to apply without prompting.');
+    return doc;
+  }
 
-  console.log(`\n✅ Model updated successfully!`);
-  restartCCRDaemon();
+  // Apply the confirmed delta to the latest config, keeping edits made meanwhile
+  updateCCRConfig(latest => {
+    const target = latest && findProvider(latest, name);
+    if (!target) {
+      fail('PROVIDER_NOT_FOUND', `Provider not found: ${name}`);
+    }
+    const kept = (target.models || []).filter(m => !removed.includes(m));
+    target.models = [...kept, ...added.filter(m => !kept.includes(m))];
+    return latest;
+  });
+  say(`✅ Updated '${name}': +${added.length} / -${removed.length}`);
+  doc.applied = true;
+  doc.restarted = requestDaemonRestart();
+  return doc;
 }
 
-function showProjectConfig() {
-  const projectId = getCurrentProjectId();
-  if (!projectId) {
-    console.log('❌ Cannot determine current project.');
-    return;
+function providerCommand(args) {
+  const subcommand = args[1];
+  const name = args[2];
+
+  if (!subcommand) {
+    fail('MISSING_ARGUMENT', 'Please provide a provider command', 'Use: provider add|edit|rm|rename|sync');
+  }
+  if (!name) {
+    fail('MISSING_ARGUMENT', 'Please provide a provider name');
   }
 
-  // CCR reads project config from ~/.claude-code-router/<project-id>/config.json
-  const projectConfigPath = path.join(CCR_PROJECTS_DIR, projectId, 'config.json');
+  switch (subcommand) {
+    case 'add':
+      return addProvider(name, args);
+    case 'edit':
+      return editProvider(name, args);
+    case 'rm':
+    case 'remove':
+      return removeProvider(name, args);
+    case 'sync':
+      return syncProvider(name, args);
+    case 'rename':
+      if (!args[3]) {
+        fail('MISSING_ARGUMENT', 'Please provide the new provider name');
+      }
+      return renameProvider(name, args[3]);
+    default:
+      fail('UNKNOWN_COMMAND', `Unknown provider command: ${subcommand}`, 'Use: provider add|edit|rm|rename|sync');
+  }
+}
 
-  console.log('═══════════════════════════════════════════════════');
-  console.log(`              Project: ${projectId}`);
-  console.log('═══════════════════════════════════════════════════\n');
+// ============ Repository Config ============
+//
+// A `.ccr-model.json` checked into a repository declares preferred models per
+// role with provider-independent names, so teammates with different provider
+// setups share the same intent:
+//
+//   { "roles": { "default": "glm-5", "think": ["claude-opus-4", "kimi-k2.5"] } }
+//
+// A list is tried in order. CCR itself only reads the project config, so
+// `sync-project` resolves each role against the local models and writes the
+// result there, remembering what it wrote under "RepoSync". Roles whose
+// project value still equals the synced one are reported as the "repo" level.
+
+const REPO_CONFIG_FILE = '.ccr-model.json';
 
-  if (fs.existsSync(projectConfigPath)) {
-    try {
-      const config = JSON.parse(fs.readFileSync(projectConfigPath, 'utf-8'));
-      if (config.Router) {
-        console.log('  Project-level Router Config:');
-        console.log(JSON.stringify(config.Router, null, 2));
-      } else {
-        console.log('  No Router config found in project config.');
-      }
-    } catch (e) {
-      console.log('  Error reading project config:', e.message);
-    }
-  } else {
-    console.log('  No project config file found.');
-    console.log(`  Expected path: ${projectConfigPath}`);
+/**
+ * Find .ccr-model.json in a directory or its nearest parent.
+ * @returns {string|null}
+ */
+function findRepoConfig(cwd = process.cwd()) {
+  for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+    const candidate = path.join(dir, REPO_CONFIG_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+    if (dir === path.dirname(dir)) return null;
   }
-  console.log('');
 }
 
-function showSessionConfig() {
-  const projectId = getCurrentProjectId();
-  const sessionId = getCurrentSessionId();
+/**
+ * Read and validate a repo config.
+ * @returns {{ roles: Object<string, string[]>, hash: string }} roles map to preference lists
+ */
+function readRepoConfig(filePath) {
+  const text = fs.readFileSync(filePath, 'utf-8');
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    fail('INVALID_CONFIG', `${filePath} is not valid JSON: ${e.message}`);
+  }
 
-  if (!projectId || !sessionId) {
-    console.log('❌ Cannot determine current project/session.');
-    return;
+  if (!data || typeof data.roles !== 'object' || data.roles === null || Array.isArray(data.roles)) {
+    fail('INVALID_CONFIG', `${filePath} has no "roles" object`,
+      '   Example: { "roles": { "default": "glm-5", "think": ["claude-opus-4", "kimi-k2.5"] } }');
   }
 
-  // CCR reads session config from ~/.claude-code-router/<project-id>/<sessionId>.json
-  const sessionConfigPath = path.join(CCR_PROJECTS_DIR, projectId, `${sessionId}.json`);
+  const roles = {};
+  for (const [role, value] of Object.entries(data.roles)) {
+    if (!VALID_ROLES.includes(role)) {
+      fail('INVALID_CONFIG', `Unknown role in ${filePath}: ${role}`, `   Valid roles: ${VALID_ROLES.join(', ')}`);
+    }
+    const preferences = Array.isArray(value) ? value : [value];
+    if (preferences.length === 0 || preferences.some(p => typeof p !== 'string' || !p.trim())) {
+      fail('INVALID_CONFIG', `Role '${role}' in ${filePath} must be a model name or a list of model names`);
+    }
+    roles[role] = preferences.map(p => p.trim());
+  }
 
-  console.log('═══════════════════════════════════════════════════');
-  console.log(`              Session: ${sessionId}`);
-  console.log(`              Project: ${projectId}`);
-  console.log('═══════════════════════════════════════════════════\n');
+  return { roles, hash: crypto.createHash('sha256').update(text).digest('hex') };
+}
 
-  if (fs.existsSync(sessionConfigPath)) {
-    try {
-      const config = JSON.parse(fs.readFileSync(sessionConfigPath, 'utf-8'));
-      if (config.Router) {
-        console.log('  Session-level Router Config:');
-        console.log(JSON.stringify(config.Router, null, 2));
-      } else {
-        console.log('  No Router config found in session config.');
-      }
-    } catch (e) {
-      console.log('  Error reading session config:', e.message);
+/**
+ * Resolve a role's preferences against the local models. Unlike `set`, a
+ * near-tie is never guessed or prompted for: the next preference is tried.
+ * @returns {{ value: string|null, query: string|null, tried: Array<{ query: string, error: string }> }}
+ *          value is in CCR format ("provider,model")
+ */
+function resolveRepoRole(models, preferences) {
+  const tried = [];
+  for (const query of preferences) {
+    const candidates = [];
+    for (const m of fuzzyMatch(models, query)) {
+      if (!candidates.some(c => c.fullName === m.fullName)) candidates.push(m);
     }
-  } else {
-    console.log('  No session config file found.');
-    console.log(`  Expected path: ${sessionConfigPath}`);
+    if (candidates.length === 0) {
+      tried.push({ query, error: 'no match' });
+      continue;
+    }
+    const tied = candidates.filter(m => candidates[0].score - m.score < AMBIGUITY_MARGIN);
+    if (tied.length > 1) {
+      tried.push({ query, error: `ambiguous: ${tied.map(m => m.fullName).join(', ')}` });
+      continue;
+    }
+    return { value: candidates[0].fullName.replace('/', ','), query, tried };
   }
-  console.log('');
+  return { value: null, query: null, tried };
 }
 
-function importProviders() {
-  let config = getCCRConfig();
+/**
+ * Whether the current project config reflects the repo config.
+ * @returns {{ path: string, state: 'synced'|'stale'|'never' }|null} null without a repo config
+ */
+function getRepoSyncStatus() {
+  const repoPath = findRepoConfig();
+  if (!repoPath) return null;
 
-  if (!config) {
-    // Create new config
-    config = {
-      LOG: true,
-      LOG_LEVEL: "info",
-      HOST: "127.0.0.1",
-      PORT: 3456,
-      APIKEY: "",
-      API_TIMEOUT_MS: "600000",
-      PROXY_URL: "",
-      transformers: [],
-      Providers: [],
-      Router: {
-        default: "",
-        background: "",
-        think: "",
-        longContext: "",
-        webSearch: ""
-      }
-    };
+  const target = getLevelConfigPath('project');
+  const sync = target ? readJSONFile(target.path)?.RepoSync : null;
+  if (!sync) return { path: repoPath, state: 'never' };
+
+  let hash = null;
+  try {
+    hash = crypto.createHash('sha256').update(fs.readFileSync(repoPath)).digest('hex');
+  } catch (e) {
+    // Unreadable counts as changed
   }
+  const state = sync.path === repoPath && sync.hash === hash ? 'synced' : 'stale';
+  return { path: repoPath, state };
+}
 
-  config.Providers = config.Providers || [];
+/**
+ * `sync-project [--force]`: materialize .ccr-model.json into the project config.
+ *
+ * Roles set by hand at project level since the last sync are kept unless
+ * --force is given; roles dropped from the repo file are removed again if
+ * they still hold the synced value.
+ */
+function syncProject(args) {
+  const repoPath = findRepoConfig();
+  if (!repoPath) {
+    fail('NO_CONFIG', `No ${REPO_CONFIG_FILE} found in ${process.cwd()} or its parents`);
+  }
+  const repo = readRepoConfig(repoPath);
 
-  if (config.Providers.length === 0) {
-    log('No providers configured in CCR', 'warning');
+  const target = getLevelConfigPath('project');
+  if (!target) {
+    fail('NO_PROJECT', 'Cannot determine current project. Make sure you are in a Claude Code project.');
   }
 
-  const result = importFromCCSwitch(config);
-  if (result) {
-    // Set default model if not set
-    if (!config.Router.default && config.Providers.length > 0) {
-      const firstProvider = config.Providers[0];
-      if (firstProvider.models && firstProvider.models.length > 0) {
-        // CCR config uses comma-separated "provider,model" format
-        config.Router.default = `${firstProvider.name},${firstProvider.models[0]}`;
-        saveCCRConfig(config);
-        log(`Set default model to: ${config.Router.default}`, 'info');
+  const models = getAllModels();
+  if (models.length === 0) {
+    fail('NO_MODELS', 'No models available.', 'Try: ccr-model import   to import from cc-switch');
+  }
+  const resolved = {};
+  for (const [role, preferences] of Object.entries(repo.roles)) {
+    resolved[role] = resolveRepoRole(models, preferences);
+  }
+
+  const force = args.includes('--force');
+  let results = {};
+  let routerChanged = false;
+
+  updateConfigFile(target.path, 'project', projectConfig => {
+    projectConfig = projectConfig || {};
+    const oldRouter = getProjectBaseRouter(projectConfig);
+    const previous = projectConfig.RepoSync?.roles || {};
+    const router = { ...oldRouter };
+    const synced = {};
+    results = {};
+
+    for (const role of VALID_ROLES) {
+      const current = router[role] || null;
+      const wanted = resolved[role];
+      // A value that differs from what the last sync wrote was set by hand
+      const localOverride = !!current && current !== previous[role];
+
+      if (wanted && !wanted.value) {
+        if (current && current === previous[role]) synced[role] = current;
+        results[role] = { status: 'unresolved', value: current, tried: wanted.tried };
+      } else if (wanted && localOverride && !force && current !== wanted.value) {
+        results[role] = { status: 'kept', value: current, query: wanted.query, wanted: wanted.value };
+      } else if (wanted) {
+        router[role] = wanted.value;
+        synced[role] = wanted.value;
+        results[role] = { status: current === wanted.value ? 'unchanged' : 'set', value: wanted.value, query: wanted.query };
+      } else if (current && current === previous[role]) {
+        // Dropped from the repo file: undo what an earlier sync wrote
+        delete router[role];
+        results[role] = { status: 'removed', value: null };
       }
     }
 
-    // Restart daemon so new providers take effect
-    if (checkCCRDaemonRunning()) {
-      restartCCRDaemon();
-    }
+    routerChanged = JSON.stringify(router) !== JSON.stringify(oldRouter);
+    const syncChanged = projectConfig.RepoSync?.path !== repoPath ||
+      projectConfig.RepoSync?.hash !== repo.hash ||
+      JSON.stringify(synced) !== JSON.stringify(previous);
+    if (!routerChanged && !syncChanged) return undefined;
+
+    setProjectBaseRouter(projectConfig, router);
+    projectConfig.RepoSync = { path: repoPath, hash: repo.hash, syncedAt: new Date().toISOString(), roles: synced };
+    return projectConfig;
+  });
+
+  say(`📦 ${repoPath} → ${target.path}\n`);
+  for (const [role, r] of Object.entries(results)) {
+    const model = ccrFormatToDisplay(r.value) || '-';
+    const line = {
+      set: () => `✅ ${model}  ← "${r.query}"`,
+      unchanged: () => `=  ${model}  ← "${r.query}"`,
+      kept: () => `⏭️  ${model}  (set at project level; --force to use ${ccrFormatToDisplay(r.wanted)})`,
+      removed: () => '🗑️  removed (no longer in the repo config)',
+      unresolved: () => `⚠️  no local model for ${r.tried.map(t => `"${t.query}" (${t.error})`).join(', ')}`
+    }[r.status];
+    say(`   ${role.padEnd(12)} ${line()}`);
   }
 
-  return result;
+  const restarted = routerChanged ? requestDaemonRestart() : false;
+  if (!routerChanged) {
+    say('\nℹ️  No role changes');
+  }
+
+  return { repoConfig: repoPath, path: target.path, roles: results, restarted };
 }
 
-function showStatus() {
-  console.log('═══════════════════════════════════════════════════');
-  console.log('              CCR Status Check');
-  console.log('═══════════════════════════════════════════════════\n');
+// ============ Branch Overrides ============
+//
+// `set <model> --branch` records an override for the current git branch in
+// the project config:
+//
+//   "Branches": { "exp/long-context": { "default": "kimi,kimi-k2.5" } }
+//
+// CCR only reads the project config's Router, so the current branch's
+// override is materialized into it. "BranchSync" remembers which branch that
+// was, the values written and the project values they replaced, so switching
+// branches restores the project values first. Project-level writes go through
+// getProjectBaseRouter() (config-layers.js)/setProjectBaseRouter() and end up
+// underneath an active branch override, which keeps winning as the branch
+// level should.
 
-  // Check CCR installation
-  const ccrInstalled = checkCCRInstalled();
-  console.log(`  CCR Installed:     ${ccrInstalled ? '✅ Yes' : '❌ No'}`);
+/**
+ * Replace the project-level Router underneath any active branch override.
+ */
+function setProjectBaseRouter(projectConfig, base) {
+  const active = getActiveBranchRoles(projectConfig);
+  const router = { ...base };
+  const replaced = {};
+  for (const [role, value] of Object.entries(active)) {
+    replaced[role] = base[role] || null;
+    router[role] = value;
+  }
+  if (projectConfig.BranchSync) {
+    projectConfig.BranchSync.roles = active;
+    projectConfig.BranchSync.replaced = replaced;
+  }
+  if (Object.keys(router).length > 0) {
+    projectConfig.Router = router;
+  } else {
+    delete projectConfig.Router;
+  }
+}
 
-  if (!ccrInstalled) {
-    return;
+/**
+ * Materialize the overrides of `branch` into the project config (in place).
+ * @returns {boolean} whether the Router changed
+ */
+function materializeBranch(projectConfig, branch) {
+  const before = JSON.stringify(projectConfig.Router || {});
+  const base = getProjectBaseRouter(projectConfig);
+  const overrides = (branch && projectConfig.Branches?.[branch]) || {};
+
+  const router = { ...base };
+  const replaced = {};
+  for (const [role, value] of Object.entries(overrides)) {
+    replaced[role] = base[role] || null;
+    router[role] = value;
   }
 
-  // Check daemon
-  const daemonRunning = checkCCRDaemonRunning();
-  console.log(`  CCR Daemon:        ${daemonRunning ? '✅ Running' : '⚠️  Not running'}`);
+  if (Object.keys(router).length > 0) {
+    projectConfig.Router = router;
+  } else {
+    delete projectConfig.Router;
+  }
+  if (projectConfig.Branches && Object.keys(projectConfig.Branches).length > 0) {
+    projectConfig.BranchSync = { branch, roles: { ...overrides }, replaced };
+  } else {
+    delete projectConfig.Branches;
+    delete projectConfig.BranchSync;
+  }
+  return JSON.stringify(projectConfig.Router || {}) !== before;
+}
 
-  // Check providers
-  const config = getCCRConfig();
-  const providerCount = config?.Providers?.length || 0;
-  console.log(`  Providers:         ${providerCount > 0 ? `✅ ${providerCount} configured` : '❌ None configured'}`);
+/**
+ * Resolve the project config path and current branch for a branch command.
+ */
+function getBranchTarget() {
+  const target = getLevelConfigPath('project');
+  if (!target) {
+    fail('NO_PROJECT', 'Cannot determine current project. Make sure you are in a Claude Code project.');
+  }
+  const branch = getGitBranch();
+  if (!branch) {
+    fail('NO_BRANCH', 'Cannot determine the current git branch (not a git repository, or detached HEAD)');
+  }
+  return { ...target, branch };
+}
 
-  // Check cc-switch
-  const hasCCSwitch = fs.existsSync(CC_SWITCH_DB_PATH);
-  console.log(`  CC-Switch:         ${hasCCSwitch ? '✅ Available' : '⚠️  Not found'}`);
+/**
+ * `set <model> --branch [--role=x]`: override roles on the current branch.
+ */
+function setModelAtBranch(query, args) {
+  const models = getAllModels();
+  if (models.length === 0) {
+    fail('NO_MODELS', 'No models available.', 'Try: ccr-model import   to import from cc-switch');
+  }
 
-  // Check if CCR is actively being used
-  const ccrActive = isCCRActive();
-  console.log(`  CCR Routing:       ${ccrActive ? '✅ Active (ANTHROPIC_BASE_URL → CCR)' : '⚠️  Inactive (direct Anthropic API)'}`);
+  const cleanQuery = query.replace(/--\S+/g, '').trim();
+  const { selected } = selectModel(models, cleanQuery, args);
+  const ccrFormat = selected.fullName.replace('/', ',');
+  const role = parseRoleArg(args);
+  const roles = role ? [role] : VALID_ROLES;
+  const target = getBranchTarget();
+
+  let changed = false;
+  updateConfigFile(target.path, 'project', projectConfig => {
+    projectConfig = projectConfig || {};
+    projectConfig.Branches = projectConfig.Branches || {};
+    const overrides = projectConfig.Branches[target.branch] || {};
+    for (const r of roles) {
+      overrides[r] = ccrFormat;
+    }
+    projectConfig.Branches[target.branch] = overrides;
+    changed = materializeBranch(projectConfig, target.branch);
+    return projectConfig;
+  });
 
-  // Project & Session info
-  const projectId = getCurrentProjectId();
-  const sessionResult = resolveSessionId();
-  console.log(`  Project ID:        ${projectId || '❌ Not detected'}`);
-  console.log(`  Session ID:        ${sessionResult ? sessionResult.id : '❌ Not detected'}`);
+  say(role
+    ? `✅ Branch ${target.branch}: Set role '${role}' to ${selected.fullName}`
+    : `✅ Branch ${target.branch}: Set all roles to ${selected.fullName}`);
+  say(`   Config saved to: ${target.path}`);
 
-  if (sessionResult) {
-    const sourceLabels = {
-      env: 'env (CLAUDE_CODE_SESSION_ID)',
-      cache: 'cache (hook temp file)',
-      mtime: 'mtime (fallback, may be inaccurate)'
-    };
-    console.log(`  Session Source:    ${sourceLabels[sessionResult.source]}`);
-  }
+  // Materialized into the project config, which CCR reads on start
+  const restarted = changed ? requestDaemonRestart() : false;
+  return { level: 'branch', branch: target.branch, model: selected.fullName, roles, path: target.path, restarted };
+}
 
-  // Current model display
-  if (ccrActive) {
-    const effective = getEffectiveConfig();
-    const router = effective.config;
-    const level = effective.level;
-    const currentModel = router.default || router.think || router.background ||
-                         router.longContext || router.webSearch || router.image;
-    const displayModel = ccrFormatToDisplay(currentModel) || currentModel || 'N/A';
-
-    const levelLabels = {
-      global: '🌐 Global',
-      project: '📁 Project',
-      session: '💬 Session'
-    };
+/**
+ * `unset --branch [--role=x]`: drop the current branch's overrides.
+ */
+function unsetAtBranch(args) {
+  const role = parseRoleArg(args);
+  const target = getBranchTarget();
+  let removed = [];
+  let changed = false;
+
+  updateConfigFile(target.path, 'project', projectConfig => {
+    const overrides = projectConfig?.Branches?.[target.branch];
+    if (!overrides || (role && !(role in overrides))) return undefined;
+
+    removed = role ? [role] : Object.keys(overrides);
+    if (role) {
+      delete overrides[role];
+    }
+    if (!role || Object.keys(overrides).length === 0) {
+      delete projectConfig.Branches[target.branch];
+    }
+    changed = materializeBranch(projectConfig, target.branch);
+    return Object.keys(projectConfig).length === 0 ? null : projectConfig;
+  });
 
-    console.log(`  Current Model:     ${displayModel}`);
-    console.log(`  Model Source:      ${levelLabels[level] || level}`);
-  } else {
-    const settings = getClaudeSettings();
-    console.log(`  Current Model:     ${settings.model || 'default'} (native)`);
+  if (removed.length === 0) {
+    log(`Branch ${target.branch}: no ${role ? `'${role}' ` : ''}override to remove`, 'info');
+    return { level: 'branch', branch: target.branch, path: target.path, removed, restarted: false };
   }
 
-  console.log('');
+  say(role
+    ? `✅ Branch ${target.branch}: Removed role '${role}'`
+    : `✅ Branch ${target.branch}: Removed all role overrides`);
+  const restarted = changed ? requestDaemonRestart() : false;
+  return { level: 'branch', branch: target.branch, path: target.path, removed, restarted };
+}
 
-  // Suggest actions
-  if (!daemonRunning) {
-    console.log('💡 Run: ccr start    to start the daemon');
-  }
-  if (providerCount === 0 && hasCCSwitch) {
-    console.log('💡 Run: ccr-model import    to import providers from cc-switch');
+/**
+ * `sync-branch`: materialize the current branch's overrides if the branch
+ * changed since the last time. Run by the hooks; a no-op for projects
+ * without branch overrides.
+ */
+function syncBranch() {
+  const target = getLevelConfigPath('project');
+  const branch = getGitBranch();
+  const projectConfig = target ? readJSONFile(target.path) : null;
+  if (!projectConfig?.Branches || projectConfig.BranchSync?.branch === branch) {
+    return { branch, synced: false, restarted: false };
   }
+
+  let changed = false;
+  updateConfigFile(target.path, 'project', config => {
+    if (!config?.Branches || config.BranchSync?.branch === branch) return undefined;
+    changed = materializeBranch(config, branch);
+    return config;
+  });
+
+  const hasOverrides = Boolean(branch && projectConfig.Branches[branch]);
+  const outcome = !changed ? 'no role changes'
+    : hasOverrides ? 'overrides applied to the project config'
+    : 'no overrides, project values restored';
+  say(`🌿 Branch ${branch || '(none)'}: ${outcome}`);
+  const restarted = changed ? requestDaemonRestart() : false;
+  return { branch, synced: true, changed, restarted };
 }
 
-// ============ Get Effective Model (Session > Project > Global) ============
+// ============ Get Effective Model (Session > Branch > Project > Repo > Global) ============
+
+/**
+ * Read the Router of every config level that applies to the current
+ * project/session (see config-layers.js).
+ *
+ * @returns {Array<{ level: 'global'|'repo'|'project'|'branch'|'session', path: string, exists: boolean,
+ *                   router: object, error: string|null }>} lowest priority first
+ */
+function getConfigLayers(projectId = getCurrentProjectId(), sessionId = getCurrentSessionId()) {
+  return configLayers.getConfigLayers(projectId, sessionId);
+}
 
 /**
  * Get effective router config following CCR's priority:
  * 1. CUSTOM_ROUTER_PATH (custom JS script) - not handled here
  * 2. Session: ~/.claude-code-router/<project-id>/<sessionId>.json
- * 3. Project: ~/.claude-code-router/<project-id>/config.json
- * 4. Global: ~/.claude-code-router/config.json
+ * 3. Branch: current git branch's override, materialized into the project config
+ * 4. Project: ~/.claude-code-router/<project-id>/config.json
+ * 5. Repo: roles of the project config written by sync-project (.ccr-model.json)
+ * 6. Global: ~/.claude-code-router/config.json
+ *
+ * Levels are merged one role at a time: a session file that only sets `think`
+ * still inherits `default` from the project or global config. Empty values
+ * never override.
  *
  * Session ID is resolved via CLAUDE_CODE_SESSION_ID env var when available,
  * otherwise falls back to mtime-based detection.
+ *
+ * @returns {{ level: string, config: object, sources: Object<string, string>,
+ *             projectId: string|null, sessionId: string|null }}
+ *          sources maps each role to the level that supplied it; level is the
+ *          source of the primary (displayed) model
  */
 function getEffectiveConfig() {
   const projectId = getCurrentProjectId();
   const sessionId = getCurrentSessionId();
+  return { ...configLayers.mergeLayers(getConfigLayers(projectId, sessionId)), projectId, sessionId };
+}
 
-  // Start with global config
-  const globalConfig = getCCRConfig();
-  let effective = {
-    level: 'global',
-    config: globalConfig?.Router || {},
-    projectId: null,
-    sessionId: null
-  };
+/**
+ * Show, per role, what each config level sets and which value wins.
+ */
+function explainConfig() {
+  const layers = getConfigLayers();
+  const effective = getEffectiveConfig();
 
-  // Check project level - CCR reads from ~/.claude-code-router/<project-id>/config.json
-  if (projectId) {
-    const projectConfigPath = path.join(CCR_PROJECTS_DIR, projectId, 'config.json');
-    if (fs.existsSync(projectConfigPath)) {
-      try {
-        const projectConfig = JSON.parse(fs.readFileSync(projectConfigPath, 'utf-8'));
-        // Only promote if at least one Router value is non-empty (prevent empty config from overriding global)
-        if (projectConfig.Router && Object.values(projectConfig.Router).some(v => v)) {
-          effective = {
-            level: 'project',
-            config: projectConfig.Router,
-            projectId: projectId,
-            sessionId: null
-          };
-        }
-      } catch (e) {
-        // Ignore parse errors
-      }
+  const rows = VALID_ROLES.map(role => {
+    const row = { role };
+    for (const layer of layers) {
+      row[layer.level] = layer.router[role] || null;
     }
-  }
+    row.value = effective.config[role] || null;
+    row.level = effective.sources[role] || null;
+    row.effectiveLevel = row.level;
+    row.file = row.level ? layers.find(l => l.level === row.level).path : null;
+    return row;
+  });
 
-  // Check session level (highest priority) - CCR reads from ~/.claude-code-router/<project-id>/<sessionId>.json
-  if (projectId && sessionId) {
-    const sessionConfigPath = path.join(CCR_PROJECTS_DIR, projectId, `${sessionId}.json`);
-    if (fs.existsSync(sessionConfigPath)) {
-      try {
-        const sessionConfig = JSON.parse(fs.readFileSync(sessionConfigPath, 'utf-8'));
-        // Only promote if at least one Router value is non-empty
-        if (sessionConfig.Router && Object.values(sessionConfig.Router).some(v => v)) {
-          effective = {
-            level: 'session',
-            config: sessionConfig.Router,
-            projectId: projectId,
-            sessionId: sessionId
-          };
-        }
-      } catch (e) {
-        // Ignore parse errors
-      }
+  const warnings = [];
+  for (const layer of layers) {
+    if (layer.error) {
+      warnings.push(`${LEVEL_LABELS[layer.level]} config is not valid JSON and is ignored: ${layer.path}`);
     }
   }
 
-  return effective;
+  // effectiveLevel: the level of the displayed (primary) model; each role has its own
+  if (jsonOutput) return { effectiveLevel: effective.level, roles: rows, warnings, repoConfig: getRepoSyncStatus() };
+
+  const show = value => ccrFormatToDisplay(value) || '-';
+  const shortPath = p => p.replace(process.env.HOME, '~');
+  const levels = layers.map(l => l.level);
+  const headers = ['Role', ...levels.map(l => l[0].toUpperCase() + l.slice(1)), 'Effective', 'Source'];
+  const table = rows.map(row => [
+    row.role,
+    ...levels.map(l => show(row[l])),
+    show(row.value),
+    row.file ? shortPath(row.file) : '-'
+  ]);
+  const widths = headers.map((h, i) => Math.max(h.length, ...table.map(r => r[i].length)));
+  const formatRow = cells => ('  ' + cells.map((c, i) => c.padEnd(widths[i])).join('  ')).trimEnd();
+
+  console.log('═══════════════════════════════════════════════════');
+  console.log('              Role Resolution');
+  console.log('═══════════════════════════════════════════════════\n');
+  console.log(formatRow(headers));
+  console.log(formatRow(widths.map(w => '─'.repeat(w))));
+  for (const cells of table) {
+    console.log(formatRow(cells));
+  }
+  console.log('');
+  if (!layers.some(l => l.level === 'project')) {
+    console.log('  (project level not shown: current project not detected)\n');
+  } else if (!layers.some(l => l.level === 'session')) {
+    console.log('  (session level not shown: current session not detected)\n');
+  }
+
+  for (const warning of warnings) {
+    log(warning, 'warning');
+  }
+  if (warnings.length > 0) console.log('');
+  printRepoSyncHint();
+}
+
+/**
+ * Point at sync-project when the repo config has not been applied yet.
+ */
+function printRepoSyncHint() {
+  const repo = getRepoSyncStatus();
+  if (!repo || repo.state === 'synced') return;
+  const what = repo.state === 'never' ? 'is not applied to this project' : 'changed since the last sync';
+  console.log(`  💡 ${repo.path} ${what}. Run: ccr-model sync-project\n`);
 }
 
 // Convert CCR format (provider,model) to display format (provider/model)
@@ -1394,30 +5378,29 @@ function modelMatches(modelStr, currentModel) {
   return false;
 }
 
-function showCurrentModel() {
-  console.log('\n═══════════════════════════════════════════════════');
-  console.log('              Current Model');
-  console.log('═══════════════════════════════════════════════════\n');
-
+/**
+ * Describe the model currently serving requests.
+ *
+ * @returns {{ routed: boolean, level: string|null, model: string|null,
+ *             provider: string|null, roles: string[] }}
+ *          routed=false means Claude Code talks to Anthropic directly and
+ *          model is the native model from settings.json
+ */
+function getCurrentModelInfo() {
   if (!isCCRActive()) {
     const settings = getClaudeSettings();
-    console.log(`  Model:     ${settings.model || 'default'} (native Anthropic, not routed through CCR)`);
-    console.log('');
-    return;
+    return { routed: false, level: null, model: settings.model || 'default', provider: null, roles: [] };
   }
 
   const effective = getEffectiveConfig();
   const config = getCCRConfig();
   const router = effective.config;
-  const level = effective.level;
 
   const currentModel = router.default || router.think || router.background ||
                        router.longContext || router.webSearch || router.image;
 
   if (!currentModel) {
-    console.log('  Model:     N/A (CCR active but no model configured)');
-    console.log('');
-    return;
+    return { routed: true, level: effective.level, model: null, provider: null, roles: [] };
   }
 
   const displayModel = ccrFormatToDisplay(currentModel) || currentModel;
@@ -1435,112 +5418,283 @@ function showCurrentModel() {
     if (providerInfo) break;
   }
 
-  const levelLabels = {
-    global: '🌐 Global',
-    project: '📁 Project',
-    session: '💬 Session'
+  return {
+    routed: true,
+    level: effective.level,
+    model: providerInfo ? `${providerInfo.name}/${providerInfo.model}` : displayModel,
+    provider: providerInfo ? providerInfo.name : null,
+    roles: VALID_ROLES.filter(r => modelMatches(router[r], currentModel))
   };
-  console.log(`  Config:    ${levelLabels[level] || level}`);
+}
+
+function showCurrentModel() {
+  const current = getCurrentModelInfo();
+
+  if (jsonOutput) return { current };
+
+  console.log('\n═══════════════════════════════════════════════════');
+  console.log('              Current Model');
+  console.log('═══════════════════════════════════════════════════\n');
+
+  if (!current.routed) {
+    console.log(`  Model:     ${current.model} (native Anthropic, not routed through CCR)`);
+    console.log('');
+    return;
+  }
+
+  if (!current.model) {
+    console.log('  Model:     N/A (CCR active but no model configured)');
+    console.log('');
+    return;
+  }
+
+  console.log(`  Config:    ${LEVEL_LABELS[current.level] || current.level}`);
 
-  if (providerInfo) {
-    console.log(`  Provider:  ${providerInfo.name}`);
-    console.log(`  Model:     ${providerInfo.model}`);
+  if (current.provider) {
+    console.log(`  Provider:  ${current.provider}`);
+    console.log(`  Model:     ${current.model.slice(current.provider.length + 1)}`);
   } else {
-    console.log(`  Model:     ${displayModel}`);
+    console.log(`  Model:     ${current.model}`);
   }
 
   // Show active roles for this model; "Default" is implicit if no other roles listed
-  const roles = [];
-  if (modelMatches(router.default, currentModel)) roles.push('Default');
-  if (modelMatches(router.think, currentModel)) roles.push('Think 🧠');
-  if (modelMatches(router.longContext, currentModel)) roles.push('Long Context 📚');
-  if (modelMatches(router.webSearch, currentModel)) roles.push('Web Search 🌐');
-  if (modelMatches(router.background, currentModel)) roles.push('Background 🔄');
-  if (modelMatches(router.image, currentModel)) roles.push('Image 🖼️');
+  const roleLabels = {
+    default: 'Default',
+    think: 'Think 🧠',
+    longContext: 'Long Context 📚',
+    webSearch: 'Web Search 🌐',
+    background: 'Background 🔄',
+    image: 'Image 🖼️'
+  };
+  const roles = current.roles.map(r => roleLabels[r]);
 
   console.log(`  Role:      ${roles.length > 0 ? roles.join(', ') : '(none)'}`);
   console.log('');
+  printRepoSyncHint();
 }
 
 // ============ Main ============
 
-function main() {
-  const args = process.argv.slice(2);
+async function main() {
+  const rawArgs = process.argv.slice(2);
+  jsonOutput = rawArgs.includes('--json');
+  currentCommand = ['ccr-model', ...rawArgs].join(' ');
+  const restartOption = getOption(rawArgs, 'restart');
+  if (rawArgs.includes('--no-restart')) {
+    restartMode = 'none';
+  } else if (restartOption !== null) {
+    if (!RESTART_MODES.includes(restartOption)) {
+      fail('INVALID_OPTION', `Unknown restart mode: ${restartOption}`, `   Use --restart=${RESTART_MODES.join('|')} or --no-restart`);
+    }
+    restartMode = restartOption;
+  }
+  // Restart options apply to every command; strip them like --json
+  const args = rawArgs.filter((a, i) =>
+    a !== '--json' && a !== '--dry-run' && a !== '--no-restart' && !a.startsWith('--restart=') &&
+    a !== '--restart' && rawArgs[i - 1] !== '--restart');
   const command = args[0] || 'list';
 
+  if (rawArgs.includes('--dry-run')) {
+    if (!['set', 'unset', 'reset', 'import', 'sync-project', 'sync-branch', 'gc'].includes(command)) {
+      fail('INVALID_OPTION', `--dry-run is not supported by: ${command}`, '   Supported by: set, unset, import, sync-project, sync-branch, gc');
+    }
+    dryRun = true;
+  }
+
   // For non-status commands, check CCR installation first
-  if (command !== 'status' && command !== 'help') {
+  if (command !== 'status' && command !== 'help' && command !== 'doctor') {
     if (!checkCCRInstalled()) {
-      process.exit(1);
+      fail('CCR_NOT_INSTALLED', 'CCR (claude-code-router) is not installed');
     }
 
-    // Check daemon for most commands
-    if (command !== 'import') {
+    // Check daemon for most commands; a dry run must not start anything
+    if (command !== 'import' && command !== 'export' && command !== 'projects' && command !== 'sessions' &&
+        command !== 'gc' && command !== 'sync-branch' && !dryRun) {
       if (!checkCCRDaemonRunning()) {
         if (!startCCRDaemon()) {
-          process.exit(1);
+          fail('DAEMON_START_FAILED', 'Failed to start CCR daemon. Please run: ccr start');
         }
       }
     }
   }
 
-  // Execute command
+  // Execute command; in --json mode each command returns its document
+  let result;
   let showModelInfo = true;
   switch (command) {
     case 'list':
-      listModels();
+      result = listModels();
       break;
 
     case 'query':
-      const query = args.slice(1).join(' ');
+      const query = args.slice(1).filter(a => a !== '--explain').join(' ');
       if (!query) {
-        console.error('Please provide a search query');
-        process.exit(1);
+        fail('MISSING_ARGUMENT', 'Please provide a search query');
       }
-      queryModels(query);
+      result = queryModels(query, args.includes('--explain'));
       break;
 
     case 'set':
-      const modelQuery = args.slice(1).join(' ');
+      const modelQuery = removeOptionValues(args.slice(1), ['role']).join(' ');
       if (!modelQuery) {
-        console.error('Please provide a model to set');
-        process.exit(1);
+        fail('MISSING_ARGUMENT', 'Please provide a model to set');
       }
 
       // Check for level flags
-      if (args.includes('--project')) {
-        setModelAtLevel(modelQuery, args, 'project');
-        return;
-      }
-      if (args.includes('--session')) {
-        setModelAtLevel(modelQuery, args, 'session');
-        return;
+      if (args.includes('--branch')) {
+        result = setModelAtBranch(modelQuery, args);
+        showModelInfo = false;
+      } else if (args.includes('--project')) {
+        result = setModelAtLevel(modelQuery, args, 'project');
+        showModelInfo = false;
+      } else if (args.includes('--session')) {
+        result = setModelAtLevel(modelQuery, args, 'session');
+        showModelInfo = false;
+      } else {
+        result = setModel(modelQuery, args);
       }
+      break;
 
-      setModel(modelQuery, args);
+    case 'unset':
+    case 'reset':
+      if (args.includes('--branch')) {
+        result = unsetAtBranch(args);
+      } else if (args.includes('--project')) {
+        result = unsetAtLevel(args, 'project');
+      } else if (args.includes('--session')) {
+        result = unsetAtLevel(args, 'session');
+      } else {
+        fail('MISSING_ARGUMENT', 'Please specify --project, --branch or --session');
+      }
       break;
 
     case 'project':
       // Show current project config
-      showProjectConfig();
+      result = showProjectConfig();
       break;
 
     case 'session':
       // Show current session config
-      showSessionConfig();
+      result = showSessionConfig();
+      break;
+
+    case 'sessions':
+      result = sessionsCommand(args);
+      showModelInfo = false;
+      break;
+
+    case 'gc':
+      result = gcCommand(args);
+      showModelInfo = false;
+      break;
+
+    case 'current':
+      result = showCurrentModel();
+      showModelInfo = false;
+      break;
+
+    case 'explain':
+      result = explainConfig();
+      showModelInfo = false;
+      break;
+
+    case 'projects':
+      result = projectsCommand(args);
+      showModelInfo = false;
+      break;
+
+    case 'sync-project':
+      result = syncProject(args);
+      break;
+
+    case 'sync-branch':
+      result = syncBranch();
+      showModelInfo = false;
+      break;
+
+    case 'profile':
+      result = profileCommand(args);
+      // Only apply changes the effective model
+      showModelInfo = args[1] === 'apply';
+      break;
+
+    case 'provider':
+      result = await providerCommand(args);
+      showModelInfo = false;
+      break;
+
+    case 'alias':
+      result = aliasCommand(args);
+      showModelInfo = false;
+      break;
+
+    case 'history':
+      result = showHistory();
+      showModelInfo = false;
+      break;
+
+    case 'diff':
+      if (!args[1]) {
+        fail('MISSING_ARGUMENT', 'Please provide a history entry number (see: ccr-model history)');
+      }
+      result = diffHistory(Number(args[1]));
+      showModelInfo = false;
+      break;
+
+    case 'undo':
+      result = undoHistory(args[1] ? Number(args[1]) : 1);
       break;
 
     case 'import':
-      importProviders();
+      const importFrom = getOption(args, 'from') || 'cc-switch';
+      const importPath = args.slice(1).find((a, i, rest) => !a.startsWith('-') && rest[i - 1] !== '--from') || null;
+      if (args.includes('--show-mapping')) {
+        result = showImportMapping(importFrom, importPath);
+        showModelInfo = false;
+        break;
+      }
+      if (args.includes('--sync')) {
+        if (importFrom !== 'cc-switch' || importPath) {
+          fail('INVALID_OPTION', '--sync only works with the cc-switch database', '   Use: ccr-model import --sync');
+        }
+        result = syncFromCCSwitch(args);
+        break;
+      }
+      result = importProviders(importFrom, importPath);
+      break;
+
+    case 'export':
+      result = exportToCCSwitch(args);
+      showModelInfo = false;
       break;
 
     case 'status':
-      showStatus();
+      result = showStatus();
+      showModelInfo = false;
+      break;
+
+    case 'restart':
+      result = restartCommand(args);
+      showModelInfo = false;
+      break;
+
+    case 'test':
+    case 'ping':
+      result = await testModels(args);
+      showModelInfo = false;
+      break;
+
+    case 'doctor':
+      result = runDoctor(args);
       showModelInfo = false;
       break;
 
     case 'help':
       showModelInfo = false;
+      if (jsonOutput) {
+        result = { commands: ['list', 'query', 'set', 'unset', 'project', 'session', 'sessions', 'gc', 'current', 'explain', 'sync-branch', 'sync-project', 'projects', 'profile', 'alias', 'provider', 'history', 'diff', 'undo', 'import', 'export', 'status', 'restart', 'doctor', 'test', 'help'] };
+        break;
+      }
       console.log(`
 CCR Model Management
 
@@ -1550,20 +5704,85 @@ Usage:
 Commands:
   list                List all available models
   query <text>        Search models by natural language
+  query <text> --explain  Also show which rule matched each candidate
   set <model>         Set global model (all roles)
   set <model> --project     Set project-level model
   set <model> --session    Set session-level model
+  set <model> --branch     Set model for the current git branch (this project)
   set <model> --role=<role>  Set specific role only
+  set <model> --first       Take the top match even if the query is ambiguous
+  unset --project     Remove project-level overrides (alias: reset)
+  unset --session     Remove session-level overrides
+  unset --branch      Remove the current branch's overrides
+  unset --role=<role> --project  Remove a single role override
   project             Show current project config
   session             Show current session config
+  sessions [--all-projects]  List session overrides (alive, transcript, roles)
+  sessions show <id>  Show one session override (unique ID prefix is enough)
+  sessions rm <id>    Remove a session override
+  gc [--older-than=7d]  Remove overrides of ended/inactive sessions and
+                      dead session cache entries (--dry-run: only list them)
+  current             Show the model currently in effect
+  explain             Show per-role values at each level and which one wins
+  sync-branch         Apply the current git branch's overrides (run by the hooks)
+  sync-project [--force]  Apply the repo's .ccr-model.json to the project config
+                      (--force: also replace roles set with set --project)
+  projects            List directories recorded in the project index
+  projects --resolve [path]  Show how a path maps to a project ID (default: cwd)
+  profile save <name> [role=model ...]  Save a role → model profile
+                      (without role=model pairs: captures current setup)
+  profile apply <name> [--project|--session]  Apply a profile
+  profile list        List saved profiles
+  profile rm <name>   Remove a profile
+  alias add <alias> <provider/model>  Add a model alias (top match priority)
+  alias add <alias> <provider>        Add a provider alias
+  alias rm <alias>    Remove an alias
+  alias list [--generated]  List user aliases (--generated: also the
+                      auto-generated aliases and their collisions)
+  provider add <name> --url <url> --key <key> --models a,b [--transformer x]
+                      Add a provider
+  provider edit <name> [--url] [--key] [--models] [--transformer]
+                      Change a provider's fields
+  provider rm <name> [--force]  Remove a provider (--force also drops roles using it)
+  provider rename <old> <new>   Rename a provider and rewrite every reference
+  provider sync <name> [--yes]  Refresh models from the provider's /v1/models endpoint
+  history             List config snapshots taken before each change
+  diff <n>            Diff snapshot n against the current file
+  undo [n]            Restore snapshot n (default: 1, the most recent)
   import              Import providers from cc-switch
+  import --from=<source> [path]  Import from another source: cc-switch,
+                      claude-settings, dotenv or litellm (path required)
+  import --show-mapping  Preview how each entry would be translated (also with --from)
+  import --sync [--yes] [--force]  Sync providers with cc-switch: add, update
+                      and remove (--force: also remove providers roles use)
+  export [name ...] [--yes]  Write CCR providers back into cc-switch
+                      (named providers without a cc-switch row are added)
   status              Show CCR installation and configuration status
+  restart [--when-idle]  Apply a pending daemon restart (--when-idle: wait until
+                      CCR has no open connections)
+  doctor [--fix]      Run deep diagnostics; --fix applies the safe fixes
+  test [model]        Send a tiny request through CCR to verify a model (alias: ping)
+  test --all          Test every configured model
+  test --role [<role>]  Test what each role (or one role) resolves to
   help                Show this help message
 
-Config Levels (CCR priority order):
+Global Options:
+  --json              Print one JSON document instead of text
+                      (errors: { "ok": false, "error": { "code", "message" } })
+  --dry-run           set/unset/import: show the diff, changed roles and
+                      whether a restart would follow; write nothing
+  --no-restart        Write the change but leave the daemon running
+                      (apply later with: ccr-model restart)
+  --restart=<mode>    auto (default): restart now unless CCR is serving other
+                      sessions, then queue it until idle; now: restart
+                      immediately; deferred: one restart after a batch
+
+Config Levels (CCR priority order, merged role by role; see: ccr-model explain):
   1. Session:  ~/.claude-code-router/<project-id>/<sessionId>.json
-  2. Project:  ~/.claude-code-router/<project-id>/config.json
-  3. Global:   ~/.claude-code-router/config.json
+  2. Branch:   set --branch, stored in the project config under "Branches"
+  3. Project:  ~/.claude-code-router/<project-id>/config.json
+  4. Repo:     .ccr-model.json in the repository, applied by sync-project
+  5. Global:   ~/.claude-code-router/config.json
 
 Roles:
   default, think, longContext, webSearch, background, image
@@ -1575,17 +5794,46 @@ Examples:
   ccr-model set glm-5 --project    # Set for current project
   ccr-model set glm-5 --session    # Set for current session
   ccr-model set m2.5 --role=think  # Set only think role
+  ccr-model unset --session        # Drop session override
+  ccr-model unset --role=think --project  # Drop project think override
+  ccr-model profile save cheap background=doubao default=glm-5 think=kimi
+  ccr-model profile apply cheap --project
   ccr-model project                # Show project config
   ccr-model session                # Show session config
+  ccr-model explain                # Where each role's model comes from
+  ccr-model provider add glm --url https://open.bigmodel.cn/api/anthropic --key sk-xxx --models glm-5,glm-4.7
+  ccr-model provider rename glm zhipu
+  ccr-model provider sync openrouter
+  ccr-model history                # What changed recently
+  ccr-model undo                   # Revert the last change
   ccr-model import
   ccr-model status
+  ccr-model doctor --fix
+  ccr-model test --role            # Check every role answers
+  ccr-model status --json          # Machine-readable status
       `);
       break;
 
     default:
-      console.error(`Unknown command: ${command}`);
-      console.error('Run "ccr-model help" for usage information');
-      process.exit(1);
+      fail('UNKNOWN_COMMAND', `Unknown command: ${command}`, 'Run "ccr-model help" for usage information');
+  }
+
+  if (jsonOutput) {
+    const doc = { ok: true, command, ...result };
+    if (dryRun) {
+      doc.dryRun = true;
+      doc.changes = dryRunPlan.changes;
+      doc.restart = dryRunPlan.restart;
+    }
+    if (showModelInfo && !doc.current) doc.current = getCurrentModelInfo();
+    printJSON(doc);
+    return;
+  }
+
+  if (dryRun) {
+    // gc lists what it would remove itself
+    if (command !== 'gc') printDryRunPlan();
+    return;
   }
 
   // Show current model info after each command (except help, status)
@@ -1594,4 +5842,20 @@ Examples:
   }
 }
 
-main();
+if (require.main === module) {
+  main().catch(e => fail('INTERNAL_ERROR', e.message));
+}
+
+// For the tests under test/; loading the module runs no command
+module.exports = {
+  dryRunPlan,
+  planConfigFile,
+  selectModel,
+  editDistance,
+  closestTypo,
+  planCCSwitchSync,
+  getSyncRenames,
+  parseDotenv,
+  parseSimpleYaml,
+  materializeBranch
+};
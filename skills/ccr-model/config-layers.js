@@ -0,0 +1,164 @@
+/**
+ * Config level resolution: Session > Branch > Project > Repo > Global
+ *
+ * Shared by ccr-model.js and the hooks, so the CLI, the status line and the
+ * SessionStart banner always agree on which model a role resolves to and
+ * which level it comes from.
+ *
+ * The repo and branch levels live inside the project config: roles still
+ * holding the value `sync-project` wrote ("RepoSync") come from the repo's
+ * .ccr-model.json, and roles holding the current branch's override
+ * materialized by `sync-branch` ("BranchSync") form the branch level.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// CCR reads project/session configs from its own directory, not from ~/.claude/projects/
+const CCR_PROJECTS_DIR = path.join(process.env.HOME, '.claude-code-router');
+const CCR_CONFIG_PATH = path.join(CCR_PROJECTS_DIR, 'config.json');
+
+// Roles in the order the displayed (primary) model is picked
+const PRIMARY_ROLE_ORDER = ['default', 'think', 'background', 'longContext', 'webSearch', 'image'];
+
+/**
+ * Current git branch of a directory, read from .git/HEAD. Worktrees and
+ * submodules have a ".git" file pointing at the real git directory.
+ * @returns {string|null} null outside a repository or on a detached HEAD
+ */
+function getGitBranch(cwd = process.cwd()) {
+  for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+    const dotGit = path.join(dir, '.git');
+    if (fs.existsSync(dotGit)) {
+      try {
+        let gitDir = dotGit;
+        if (fs.statSync(dotGit).isFile()) {
+          const match = fs.readFileSync(dotGit, 'utf-8').match(/^gitdir:\s*(.+)$/m);
+          if (!match) return null;
+          gitDir = path.resolve(dir, match[1].trim());
+        }
+        const head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf-8').trim();
+        const ref = head.match(/^ref:\s*refs\/heads\/(.+)$/);
+        return ref ? ref[1] : null;
+      } catch (e) {
+        return null;
+      }
+    }
+    if (dir === path.dirname(dir)) return null;
+  }
+}
+
+/**
+ * Branch override roles currently materialized in a project config's Router.
+ * A role overwritten by hand since then no longer counts.
+ */
+function getActiveBranchRoles(projectConfig) {
+  const sync = projectConfig?.BranchSync;
+  const router = projectConfig?.Router || {};
+  const active = {};
+  for (const [role, value] of Object.entries(sync?.roles || {})) {
+    if (value && router[role] === value) active[role] = value;
+  }
+  return active;
+}
+
+/**
+ * The project-level Router underneath any active branch override.
+ */
+function getProjectBaseRouter(projectConfig) {
+  const router = { ...(projectConfig?.Router || {}) };
+  const replaced = projectConfig?.BranchSync?.replaced || {};
+  for (const role of Object.keys(getActiveBranchRoles(projectConfig))) {
+    if (replaced[role]) {
+      router[role] = replaced[role];
+    } else {
+      delete router[role];
+    }
+  }
+  return router;
+}
+
+/**
+ * Read the Router of every config level that applies to a project/session.
+ * The repo layer's path is the .ccr-model.json its roles came from.
+ *
+ * @returns {Array<{ level: 'global'|'repo'|'project'|'branch'|'session', path: string, exists: boolean,
+ *                   router: object, error: string|null }>} lowest priority first
+ */
+function getConfigLayers(projectId, sessionId) {
+  const readLayer = (level, filePath) => {
+    const exists = fs.existsSync(filePath);
+    if (!exists) return { level, path: filePath, exists, router: {}, error: null, config: null };
+    try {
+      const config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      return { level, path: filePath, exists, router: config?.Router || {}, error: null, config };
+    } catch (e) {
+      return { level, path: filePath, exists, router: {}, error: e.message, config: null };
+    }
+  };
+
+  const layers = [readLayer('global', CCR_CONFIG_PATH)];
+
+  if (projectId) {
+    const project = readLayer('project', path.join(CCR_PROJECTS_DIR, projectId, 'config.json'));
+    const projectConfig = project.config;
+
+    // Roles still holding the value sync-project wrote come from the repo config
+    const base = getProjectBaseRouter(projectConfig);
+    const repoSync = projectConfig?.RepoSync;
+    if (repoSync) {
+      const repoRouter = {};
+      for (const [role, value] of Object.entries(repoSync.roles || {})) {
+        if (value && base[role] === value) {
+          repoRouter[role] = value;
+          delete base[role];
+        }
+      }
+      layers.push({ level: 'repo', path: repoSync.path, exists: true, router: repoRouter, error: null });
+    }
+    layers.push({ ...project, router: projectConfig ? base : project.router });
+
+    // The current branch's override sits between project and session
+    if (projectConfig?.Branches) {
+      layers.push({ level: 'branch', path: project.path, exists: true, router: getActiveBranchRoles(projectConfig),
+        branch: projectConfig.BranchSync?.branch || null, error: null });
+    }
+  }
+  if (projectId && sessionId) {
+    layers.push(readLayer('session', path.join(CCR_PROJECTS_DIR, projectId, `${sessionId}.json`)));
+  }
+
+  // The parsed file was only needed to split the project config
+  return layers.map(({ config, ...layer }) => layer);
+}
+
+/**
+ * Merge layers one role at a time: a session file that only sets `think`
+ * still inherits `default` from below. Empty values never override.
+ *
+ * @returns {{ level: string, config: object, sources: Object<string, string> }}
+ *          sources maps each role to the level that supplied it; level is the
+ *          source of the primary (displayed) model
+ */
+function mergeLayers(layers) {
+  const config = {};
+  const sources = {};
+  for (const layer of layers) {
+    for (const [role, value] of Object.entries(layer.router || {})) {
+      if (!value) continue;
+      config[role] = value;
+      sources[role] = layer.level;
+    }
+  }
+
+  const primaryRole = PRIMARY_ROLE_ORDER.find(r => config[r]);
+  return { level: primaryRole ? sources[primaryRole] : 'global', config, sources };
+}
+
+module.exports = {
+  getGitBranch,
+  getActiveBranchRoles,
+  getProjectBaseRouter,
+  getConfigLayers,
+  mergeLayers
+};
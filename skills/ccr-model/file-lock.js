@@ -0,0 +1,177 @@
+/**
+ * Cross-process file locking and atomic writes
+ *
+ * Shared by ccr-model.js and the hooks. A lock is `<file>.lock`, created
+ * exclusively and holding { pid, ts, command }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_TIMEOUT_MS = 10000;
+// A lock older than this is considered abandoned even if its PID is alive
+const LOCK_STALE_MS = 30000;
+
+// Lock files held by this process → nesting depth
+const heldLocks = new Map();
+
+process.on('exit', () => {
+  for (const lockPath of heldLocks.keys()) {
+    try { fs.unlinkSync(lockPath); } catch (_) {}
+  }
+});
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Write a file via temp file + rename so readers (including CCR itself) never
+ * see a truncated file. The temp file lives in the same directory so the
+ * rename stays on one filesystem. An existing file keeps its mode; a new one
+ * gets `mode` (default: 0666 minus umask).
+ */
+function writeFileAtomic(filePath, content, mode) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const tmpPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+  const fd = fs.openSync(tmpPath, 'w', mode ?? 0o666);
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.chmodSync(tmpPath, fs.statSync(filePath).mode);
+  } catch (e) {
+    // New file: keep the mode it was created with
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+function readLockOwner(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * A lock is stale when its owner is gone or it has been held too long.
+ * @returns {fs.Stats|null} the stale lock's stats, null when it is not stale
+ */
+function getStaleLock(lockPath) {
+  let stat;
+  try {
+    stat = fs.statSync(lockPath);
+  } catch (e) {
+    return null; // Already released
+  }
+  if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) return stat;
+
+  const owner = readLockOwner(lockPath);
+  if (!owner) {
+    // Owner may still be writing its PID; only give up on it after a moment
+    return Date.now() - stat.mtimeMs > 1000 ? stat : null;
+  }
+  try {
+    process.kill(owner.pid, 0);
+    return null;
+  } catch (e) {
+    return e.code !== 'EPERM' ? stat : null;
+  }
+}
+
+/**
+ * Remove a lock judged stale. Two waiters can both judge it stale; unlinking
+ * by name would let the second one delete the fresh lock the first has just
+ * taken. Instead the lock is renamed to a unique name (only one rename of a
+ * given file can succeed) and only discarded if it is the file that was
+ * judged stale; a fresh lock caught by mistake is put back.
+ */
+function breakStaleLock(lockPath, staleStat) {
+  const claimed = `${lockPath}.stale.${process.pid}.${Date.now()}`;
+  try {
+    fs.renameSync(lockPath, claimed);
+  } catch (e) {
+    return; // Someone else broke or released it
+  }
+
+  try {
+    const stat = fs.statSync(claimed);
+    if (stat.ino !== staleStat.ino || stat.mtimeMs !== staleStat.mtimeMs) {
+      // link fails if yet another lock was taken meanwhile; that one wins
+      try { fs.linkSync(claimed, lockPath); } catch (_) {}
+    }
+  } finally {
+    try { fs.unlinkSync(claimed); } catch (_) {}
+  }
+}
+
+/**
+ * Run fn while holding `<file>.lock`. Re-entrant within this process.
+ * Waits up to LOCK_TIMEOUT_MS for other writers and breaks stale locks.
+ * Throws an error with code LOCK_TIMEOUT (and `owner`) when the wait runs out.
+ *
+ * @param {string} [command] - recorded in the lock for other waiters' messages
+ */
+function withFileLock(filePath, fn, command = path.basename(process.argv[1] || 'node')) {
+  const lockPath = `${filePath}.lock`;
+
+  if (heldLocks.has(lockPath)) {
+    heldLocks.set(lockPath, heldLocks.get(lockPath) + 1);
+    try {
+      return fn();
+    } finally {
+      heldLocks.set(lockPath, heldLocks.get(lockPath) - 1);
+    }
+  }
+
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, ts: Date.now(), command }));
+      fs.closeSync(fd);
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    const staleStat = getStaleLock(lockPath);
+    if (staleStat) {
+      breakStaleLock(lockPath, staleStat);
+      continue;
+    }
+    if (Date.now() > deadline) {
+      const error = new Error(`Timed out waiting for lock: ${lockPath}`);
+      error.code = 'LOCK_TIMEOUT';
+      error.owner = readLockOwner(lockPath);
+      throw error;
+    }
+    sleepSync(50);
+  }
+
+  heldLocks.set(lockPath, 1);
+  try {
+    return fn();
+  } finally {
+    if (heldLocks.get(lockPath) === 1) {
+      heldLocks.delete(lockPath);
+      try { fs.unlinkSync(lockPath); } catch (_) {}
+    }
+  }
+}
+
+module.exports = { sleepSync, writeFileAtomic, withFileLock };
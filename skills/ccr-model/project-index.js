@@ -0,0 +1,116 @@
+/**
+ * Claude Code project ID resolution
+ *
+ * Shared by ccr-model.js and the hooks, so the CLI, the status line and the
+ * SessionStart banner always agree on which project a directory belongs to.
+ *
+ * The project ID is the directory name Claude Code uses under
+ * ~/.claude/projects. The SessionStart hook knows the real ID from its
+ * transcript path and records cwd → project ID in project-index.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { withFileLock, writeFileAtomic } = require('./file-lock');
+
+const CLAUDE_PROJECTS_DIR = path.join(process.env.HOME, '.claude', 'projects');
+// cwd → Claude Code project ID: { "<cwd>": { projectId, ts } }
+const PROJECT_INDEX_PATH = path.join(process.env.HOME, '.claude-code-router', 'project-index.json');
+
+/**
+ * Encode a path the way Claude Code names its project directories: every
+ * character other than a letter or digit becomes "-".
+ * E.g., "/Users/me/work/my.app" becomes "-Users-me-work-my-app"
+ */
+function encodeProjectPath(dir) {
+  return dir.replace(/[^a-zA-Z0-9]/g, '-');
+}
+
+function readProjectIndex() {
+  try {
+    return JSON.parse(fs.readFileSync(PROJECT_INDEX_PATH, 'utf-8')) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Record cwd → project ID in the index. The index is re-read under its lock,
+ * so concurrent SessionStart hooks do not drop each other's entries.
+ */
+function recordProject(cwd, projectId) {
+  withFileLock(PROJECT_INDEX_PATH, () => {
+    const index = readProjectIndex();
+    index[cwd] = { projectId, ts: Date.now() };
+    writeFileAtomic(PROJECT_INDEX_PATH, JSON.stringify(index, null, 2));
+  });
+}
+
+/**
+ * Resolve the Claude Code project ID for a directory, recording how.
+ *
+ * 1. index:   the project index has an entry for the directory itself
+ * 2. encoded: the encoded path exists in ~/.claude/projects
+ * 3. parent:  the nearest parent directory in the project index (a
+ *             subdirectory of a project that has no project of its own)
+ * 4. folder:  exactly one project ends with the encoded folder name
+ *
+ * The directory is tried both as given and with symlinks resolved.
+ *
+ * @returns {{ projectId: string|null, method: 'index'|'encoded'|'parent'|'folder'|null,
+ *             encoded: string, indexed: string|null, candidates: string[] }}
+ */
+function resolveProjectId(cwd = process.cwd()) {
+  const dir = path.resolve(cwd);
+  const encoded = encodeProjectPath(dir);
+  const result = { projectId: null, method: null, encoded, indexed: null, candidates: [] };
+  const found = (projectId, method, indexed = null) =>
+    Object.assign(result, { projectId, method, indexed });
+
+  let realDir = dir;
+  try {
+    realDir = fs.realpathSync(dir);
+  } catch (e) {
+    // Directory may no longer exist; the index can still know it
+  }
+  const dirs = [...new Set([dir, realDir])];
+  const index = readProjectIndex();
+
+  for (const d of dirs) {
+    if (index[d]?.projectId) return found(index[d].projectId, 'index', d);
+  }
+
+  let projects = [];
+  try {
+    projects = fs.readdirSync(CLAUDE_PROJECTS_DIR);
+  } catch (e) {
+    // No Claude Code projects yet
+  }
+  for (const d of dirs) {
+    if (projects.includes(encodeProjectPath(d))) return found(encodeProjectPath(d), 'encoded');
+  }
+
+  for (const start of dirs) {
+    for (let d = path.dirname(start); ; d = path.dirname(d)) {
+      if (index[d]?.projectId) return found(index[d].projectId, 'parent', d);
+      if (d === path.dirname(d)) break;
+    }
+  }
+
+  // Fallback for paths Claude Code shortens: only trust a unique folder match,
+  // two repos with the same folder name must not be confused
+  const suffix = '-' + encodeProjectPath(path.basename(dir));
+  result.candidates = projects.filter(p =>
+    p.endsWith(suffix) && fs.statSync(path.join(CLAUDE_PROJECTS_DIR, p)).isDirectory());
+  if (result.candidates.length === 1) found(result.candidates[0], 'folder');
+  return result;
+}
+
+module.exports = {
+  CLAUDE_PROJECTS_DIR,
+  PROJECT_INDEX_PATH,
+  encodeProjectPath,
+  readProjectIndex,
+  recordProject,
+  resolveProjectId
+};
@@ -0,0 +1,277 @@
+/**
+ * Minimal read-only SQLite reader
+ *
+ * Fallback for Node versions without node:sqlite: reads whole tables straight
+ * from the database file, so ccr-model does not need the sqlite3 binary to
+ * import from cc-switch.
+ *
+ * Supports what cc-switch's database needs: table b-trees, overflow pages,
+ * UTF-8/UTF-16 text and a WAL file that has not been checkpointed yet.
+ * Index b-trees, WITHOUT ROWID tables and SQL queries are not supported.
+ */
+
+const fs = require('fs');
+
+const HEADER_MAGIC = 'SQLite format 3\0';
+const WAL_MAGIC = [0x377f0682, 0x377f0683];
+
+const PAGE_INTERIOR_TABLE = 0x05;
+const PAGE_LEAF_TABLE = 0x0d;
+
+/**
+ * Read a SQLite varint (1-9 bytes, big-endian, 7 bits per byte).
+ * @returns {[number|bigint, number]} value and number of bytes read
+ */
+function readVarint(buf, offset) {
+  let value = 0n;
+  let length = 9;
+  for (let i = 0; i < 8; i++) {
+    const byte = buf[offset + i];
+    value = (value << 7n) | BigInt(byte & 0x7f);
+    if (!(byte & 0x80)) {
+      length = i + 1;
+      break;
+    }
+  }
+  if (length === 9) value = (value << 8n) | BigInt(buf[offset + 8]);
+  return [toNumber(BigInt.asIntN(64, value)), length];
+}
+
+/**
+ * Plain number when it fits, BigInt otherwise (like node:sqlite's readBigInts).
+ */
+function toNumber(value) {
+  return Number.isSafeInteger(Number(value)) ? Number(value) : value;
+}
+
+/**
+ * Collect the newest committed copy of each page from the WAL, if any.
+ * Frames after the last commit frame, or from an older WAL generation
+ * (salt mismatch), are ignored.
+ */
+function readWalPages(dbPath, pageSize) {
+  const walPath = `${dbPath}-wal`;
+  if (!fs.existsSync(walPath)) return new Map();
+
+  const wal = fs.readFileSync(walPath);
+  if (wal.length < 32 || !WAL_MAGIC.includes(wal.readUInt32BE(0))) return new Map();
+  if (wal.readUInt32BE(8) !== pageSize) return new Map();
+
+  const salt1 = wal.readUInt32BE(16);
+  const salt2 = wal.readUInt32BE(20);
+  const committed = new Map();
+  let pending = new Map();
+
+  for (let offset = 32; offset + 24 + pageSize <= wal.length; offset += 24 + pageSize) {
+    if (wal.readUInt32BE(offset + 8) !== salt1 || wal.readUInt32BE(offset + 12) !== salt2) break;
+    const pageNumber = wal.readUInt32BE(offset);
+    pending.set(pageNumber, wal.subarray(offset + 24, offset + 24 + pageSize));
+    if (wal.readUInt32BE(offset + 4) !== 0) {
+      // Commit frame: everything up to here is part of the database
+      for (const [n, page] of pending) committed.set(n, page);
+      pending = new Map();
+    }
+  }
+  return committed;
+}
+
+function openDatabase(dbPath) {
+  const file = fs.readFileSync(dbPath);
+  if (file.length < 100 || file.toString('latin1', 0, 16) !== HEADER_MAGIC) {
+    throw new Error(`Not a SQLite database: ${dbPath}`);
+  }
+
+  const rawPageSize = file.readUInt16BE(16);
+  const pageSize = rawPageSize === 1 ? 65536 : rawPageSize;
+  const usableSize = pageSize - file[20];
+  const encoding = { 1: 'utf8', 2: 'utf16le', 3: 'utf16be' }[file.readUInt32BE(56)] || 'utf8';
+  const walPages = readWalPages(dbPath, pageSize);
+
+  const getPage = n => {
+    if (walPages.has(n)) return walPages.get(n);
+    const start = (n - 1) * pageSize;
+    if (start + pageSize > file.length) throw new Error(`Page ${n} is out of range`);
+    return file.subarray(start, start + pageSize);
+  };
+
+  return { pageSize, usableSize, encoding, getPage };
+}
+
+function decodeText(buf, encoding) {
+  if (encoding === 'utf16be') {
+    const swapped = Buffer.from(buf);
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  }
+  return buf.toString(encoding);
+}
+
+/**
+ * Decode a record (header of serial types, then the values).
+ */
+function decodeRecord(payload, encoding) {
+  const [headerSize, n] = readVarint(payload, 0);
+  const types = [];
+  for (let offset = n; offset < headerSize;) {
+    const [type, len] = readVarint(payload, offset);
+    types.push(type);
+    offset += len;
+  }
+
+  const values = [];
+  let offset = headerSize;
+  for (const type of types) {
+    if (type === 0) {
+      values.push(null);
+    } else if (type >= 1 && type <= 6) {
+      const size = [0, 1, 2, 3, 4, 6, 8][type];
+      values.push(toNumber(BigInt.asIntN(size * 8, BigInt('0x' + payload.toString('hex', offset, offset + size)))));
+      offset += size;
+    } else if (type === 7) {
+      values.push(payload.readDoubleBE(offset));
+      offset += 8;
+    } else if (type === 8 || type === 9) {
+      values.push(type - 8);
+    } else if (type >= 12) {
+      const size = Math.floor((type - 12) / 2);
+      const bytes = payload.subarray(offset, offset + size);
+      values.push(type % 2 === 0 ? Buffer.from(bytes) : decodeText(bytes, encoding));
+      offset += size;
+    } else {
+      throw new Error(`Unsupported serial type ${type}`);
+    }
+  }
+  return values;
+}
+
+/**
+ * Read a table leaf cell's full payload, following overflow pages.
+ */
+function readLeafCell(db, page, offset) {
+  const [payloadSize, n1] = readVarint(page, offset);
+  const [rowid, n2] = readVarint(page, offset + n1);
+  const start = offset + n1 + n2;
+
+  const u = db.usableSize;
+  const maxLocal = u - 35;
+  let local = payloadSize;
+  if (payloadSize > maxLocal) {
+    const minLocal = Math.floor(((u - 12) * 32) / 255) - 23;
+    const k = minLocal + ((payloadSize - minLocal) % (u - 4));
+    local = k <= maxLocal ? k : minLocal;
+  }
+
+  const chunks = [page.subarray(start, start + local)];
+  let remaining = payloadSize - local;
+  let next = remaining > 0 ? page.readUInt32BE(start + local) : 0;
+  while (remaining > 0 && next !== 0) {
+    const overflow = db.getPage(next);
+    const size = Math.min(remaining, u - 4);
+    chunks.push(overflow.subarray(4, 4 + size));
+    remaining -= size;
+    next = overflow.readUInt32BE(0);
+  }
+
+  return { rowid, payload: Buffer.concat(chunks) };
+}
+
+/**
+ * Walk a table b-tree and return every row as { rowid, values }.
+ */
+function readTableTree(db, rootPage) {
+  const rows = [];
+  const stack = [rootPage];
+  const seen = new Set();
+
+  while (stack.length > 0) {
+    const pageNumber = stack.pop();
+    if (seen.has(pageNumber)) throw new Error(`B-tree loop at page ${pageNumber}`);
+    seen.add(pageNumber);
+
+    const page = db.getPage(pageNumber);
+    // Page 1 starts with the 100-byte database header
+    const base = pageNumber === 1 ? 100 : 0;
+    const type = page[base];
+    const cellCount = page.readUInt16BE(base + 3);
+
+    if (type === PAGE_LEAF_TABLE) {
+      for (let i = 0; i < cellCount; i++) {
+        const cell = readLeafCell(db, page, page.readUInt16BE(base + 8 + i * 2));
+        rows.push({ rowid: cell.rowid, values: decodeRecord(cell.payload, db.encoding) });
+      }
+    } else if (type === PAGE_INTERIOR_TABLE) {
+      // Push right-most child first so rows come out in rowid order
+      stack.push(page.readUInt32BE(base + 8));
+      for (let i = cellCount - 1; i >= 0; i--) {
+        stack.push(page.readUInt32BE(page.readUInt16BE(base + 12 + i * 2)));
+      }
+    } else {
+      throw new Error(`Unexpected page type ${type} in table b-tree (page ${pageNumber})`);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Column names from a CREATE TABLE statement, and which one (if any) is an
+ * alias for the rowid (stored as NULL in the record).
+ */
+function parseColumns(createSql) {
+  const body = createSql.slice(createSql.indexOf('(') + 1, createSql.lastIndexOf(')'));
+  const defs = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of body) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      defs.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) defs.push(current.trim());
+
+  const columns = [];
+  let rowidAlias = null;
+  for (const def of defs) {
+    if (/^(constraint|primary|unique|check|foreign)\b/i.test(def)) continue;
+    const match = def.match(/^(?:"((?:[^"]|"")+)"|`([^`]+)`|\[([^\]]+)\]|(\S+))\s*(.*)$/s);
+    const name = (match[1] && match[1].replace(/""/g, '"')) || match[2] || match[3] || match[4];
+    if (/^integer\s+primary\s+key\b/i.test(match[5])) rowidAlias = columns.length;
+    columns.push(name);
+  }
+  return { columns, rowidAlias };
+}
+
+/**
+ * Read every row of a table as an object keyed by column name.
+ *
+ * @param {string} dbPath
+ * @param {string} tableName
+ * @returns {Object[]}
+ */
+function readTable(dbPath, tableName) {
+  const db = openDatabase(dbPath);
+
+  // sqlite_schema: type, name, tbl_name, rootpage, sql
+  const schema = readTableTree(db, 1).map(r => r.values);
+  const entry = schema.find(v => v[0] === 'table' && String(v[1]).toLowerCase() === tableName.toLowerCase());
+  if (!entry) throw new Error(`no such table: ${tableName}`);
+  if (/\)\s*without\s+rowid\s*;?\s*$/i.test(entry[4])) {
+    throw new Error(`WITHOUT ROWID tables are not supported: ${tableName}`);
+  }
+
+  const { columns, rowidAlias } = parseColumns(entry[4]);
+  return readTableTree(db, entry[3]).map(({ rowid, values }) => {
+    const row = {};
+    columns.forEach((name, i) => {
+      // Columns added later by ALTER TABLE may be missing from old records
+      row[name] = i === rowidAlias ? rowid : (i < values.length ? values[i] : null);
+    });
+    return row;
+  });
+}
+
+module.exports = { readTable };
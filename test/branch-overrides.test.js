@@ -0,0 +1,74 @@
+/**
+ * Tests for materializeBranch: applying a branch's overrides to the project
+ * Router, recording them in BranchSync and restoring the project values when
+ * the branch changes. Run: node --test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'branch-overrides-test-'));
+process.env.HOME = home;
+const { materializeBranch } = require('../skills/ccr-model/ccr-model');
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function projectConfig() {
+  return {
+    Router: { default: 'glm,glm-5', think: 'glm,glm-5' },
+    Branches: { 'exp/long': { default: 'kimi,k2', longContext: 'kimi,k2' } }
+  };
+}
+
+test('applies a branch override and records what it replaced', () => {
+  const config = projectConfig();
+
+  assert.strictEqual(materializeBranch(config, 'exp/long'), true);
+  assert.deepStrictEqual(config.Router, { default: 'kimi,k2', think: 'glm,glm-5', longContext: 'kimi,k2' });
+  assert.deepStrictEqual(config.BranchSync, {
+    branch: 'exp/long',
+    roles: { default: 'kimi,k2', longContext: 'kimi,k2' },
+    replaced: { default: 'glm,glm-5', longContext: null }
+  });
+});
+
+test('restores the project values on a branch without overrides', () => {
+  const config = projectConfig();
+  materializeBranch(config, 'exp/long');
+
+  assert.strictEqual(materializeBranch(config, 'main'), true);
+  assert.deepStrictEqual(config.Router, { default: 'glm,glm-5', think: 'glm,glm-5' });
+  assert.deepStrictEqual(config.BranchSync, { branch: 'main', roles: {}, replaced: {} });
+});
+
+test('reports no change when the branch is applied again', () => {
+  const config = projectConfig();
+  materializeBranch(config, 'exp/long');
+  const before = JSON.stringify(config);
+
+  assert.strictEqual(materializeBranch(config, 'exp/long'), false);
+  assert.strictEqual(JSON.stringify(config), before);
+});
+
+test('keeps a role set by hand after the override was applied', () => {
+  const config = projectConfig();
+  materializeBranch(config, 'exp/long');
+  config.Router.default = 'qwen,qwen3';
+
+  materializeBranch(config, 'main');
+
+  assert.deepStrictEqual(config.Router, { default: 'qwen,qwen3', think: 'glm,glm-5' });
+});
+
+test('drops the Router and the branch records once nothing is left', () => {
+  const config = { Branches: {}, BranchSync: { branch: 'exp', roles: { default: 'kimi,k2' }, replaced: { default: null } } };
+  config.Router = { default: 'kimi,k2' };
+
+  assert.strictEqual(materializeBranch(config, 'exp'), true);
+  assert.deepStrictEqual(config, {});
+});
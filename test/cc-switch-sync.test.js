@@ -0,0 +1,87 @@
+/**
+ * Tests for the `import --sync` three-way merge (planCCSwitchSync): cc-switch
+ * rows ("theirs") against CCR providers ("ours") and the values recorded at
+ * the last sync ("base"). Run: node --test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-switch-sync-test-'));
+process.env.HOME = home;
+const { planCCSwitchSync, getSyncRenames } = require('../skills/ccr-model/ccr-model');
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function provider(name, fields = {}) {
+  return { name, api_base_url: `https://${name}.example.com`, api_key: 'sk-1', models: ['m1'], ...fields };
+}
+
+function base(...providers) {
+  return Object.fromEntries(providers.map(p => [p.name, {
+    api_base_url: p.api_base_url,
+    api_key: p.api_key,
+    models: [...p.models]
+  }]));
+}
+
+test('adds providers missing from CCR', () => {
+  const plan = planCCSwitchSync({ Providers: [] }, [provider('glm')], {});
+
+  assert.deepStrictEqual(plan.added.map(p => p.name), ['glm']);
+  assert.deepStrictEqual(plan.changed, []);
+  assert.deepStrictEqual(plan.removed, []);
+});
+
+test('takes every differing field from cc-switch on the first sync', () => {
+  const ours = provider('glm', { api_key: 'sk-ccr' });
+  const plan = planCCSwitchSync({ Providers: [ours] }, [provider('glm', { api_key: 'sk-new' })], {});
+
+  assert.deepStrictEqual(plan.changed, [{ name: 'glm', fields: [{ field: 'api_key', from: 'sk-ccr', to: 'sk-new' }] }]);
+});
+
+test('keeps a CCR edit when cc-switch did not change the field', () => {
+  const synced = provider('glm');
+  const ours = provider('glm', { api_base_url: 'https://proxy.example.com' });
+  const plan = planCCSwitchSync({ Providers: [ours] }, [provider('glm')], base(synced));
+
+  assert.deepStrictEqual(plan.changed, []);
+});
+
+test('takes a field cc-switch changed since the last sync', () => {
+  const synced = provider('glm');
+  const ours = provider('glm', { api_base_url: 'https://proxy.example.com' });
+  const theirs = provider('glm', { api_base_url: 'https://new.example.com' });
+  const plan = planCCSwitchSync({ Providers: [ours] }, [theirs], base(synced));
+
+  assert.deepStrictEqual(plan.changed[0].fields,
+    [{ field: 'api_base_url', from: 'https://proxy.example.com', to: 'https://new.example.com' }]);
+});
+
+test('drops models removed in cc-switch and keeps CCR-only models', () => {
+  const synced = provider('glm', { models: ['m1', 'm2'] });
+  const ours = provider('glm', { models: ['m1', 'm2', 'ccr-only'] });
+  const theirs = provider('glm', { models: ['m1', 'm3'] });
+  const plan = planCCSwitchSync({ Providers: [ours] }, [theirs], base(synced));
+
+  assert.deepStrictEqual(plan.changed[0].fields,
+    [{ field: 'models', from: ['m1', 'm2', 'ccr-only'], to: ['m1', 'ccr-only', 'm3'] }]);
+});
+
+test('removes only providers that came from cc-switch', () => {
+  const config = { Providers: [provider('gone'), provider('hand-added')] };
+  const plan = planCCSwitchSync(config, [], base(provider('gone')));
+
+  assert.deepStrictEqual(plan.removed, ['gone']);
+});
+
+test('maps cc-switch names of renamed providers to their CCR names', () => {
+  const state = { zhipu: { ...base(provider('glm')).glm, from: 'glm' }, kimi: base(provider('kimi')).kimi };
+
+  assert.deepStrictEqual([...getSyncRenames(state)], [['glm', 'zhipu']]);
+});
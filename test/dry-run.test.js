@@ -0,0 +1,94 @@
+/**
+ * Tests for the --dry-run planner (planConfigFile): it records what a config
+ * write would change without touching the file. HOME points at a temporary
+ * directory before ccr-model.js is loaded. Run: node --test
+ */
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-test-'));
+process.env.HOME = home;
+const { dryRunPlan, planConfigFile } = require('../skills/ccr-model/ccr-model');
+
+const configPath = path.join(home, 'config.json');
+
+beforeEach(() => {
+  dryRunPlan.changes.length = 0;
+  fs.rmSync(configPath, { force: true });
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function writeConfig(data) {
+  const content = JSON.stringify(data, null, 2);
+  fs.writeFileSync(configPath, content);
+  return content;
+}
+
+test('plans a new file without creating it', () => {
+  const next = planConfigFile(configPath, 'project', () => ({ Router: { default: 'glm,glm-5' } }));
+
+  assert.deepStrictEqual(next, { Router: { default: 'glm,glm-5' } });
+  assert.ok(!fs.existsSync(configPath));
+  assert.strictEqual(dryRunPlan.changes.length, 1);
+  const [change] = dryRunPlan.changes;
+  assert.strictEqual(change.action, 'create');
+  assert.strictEqual(change.level, 'project');
+  assert.deepStrictEqual(change.roles, [{ role: 'default', from: null, to: 'glm,glm-5' }]);
+  assert.match(change.diff, /^\+ {4}"default": "glm,glm-5"$/m);
+});
+
+test('plans an update with the roles that change, leaving the file as it was', () => {
+  const before = writeConfig({ Router: { default: 'glm,glm-5', think: 'glm,glm-5' } });
+
+  planConfigFile(configPath, 'global', config => {
+    config.Router.think = 'kimi,k2';
+    return config;
+  });
+
+  assert.strictEqual(fs.readFileSync(configPath, 'utf-8'), before);
+  const [change] = dryRunPlan.changes;
+  assert.strictEqual(change.action, 'update');
+  assert.deepStrictEqual(change.roles, [{ role: 'think', from: 'glm,glm-5', to: 'kimi,k2' }]);
+  assert.match(change.diff, /^- {4}"think": "glm,glm-5"$/m);
+  assert.match(change.diff, /^\+ {4}"think": "kimi,k2"$/m);
+});
+
+test('plans a deletion when mutate returns null', () => {
+  writeConfig({ Router: { default: 'glm,glm-5' } });
+
+  planConfigFile(configPath, 'session', () => null);
+
+  assert.ok(fs.existsSync(configPath));
+  const [change] = dryRunPlan.changes;
+  assert.strictEqual(change.action, 'delete');
+  assert.deepStrictEqual(change.roles, [{ role: 'default', from: 'glm,glm-5', to: null }]);
+});
+
+test('records nothing for undefined or an identical result', () => {
+  writeConfig({ Router: { default: 'glm,glm-5' } });
+
+  planConfigFile(configPath, 'global', () => undefined);
+  planConfigFile(configPath, 'global', config => config);
+
+  assert.deepStrictEqual(dryRunPlan.changes, []);
+});
+
+test('hands mutate null for an unparseable file', () => {
+  fs.writeFileSync(configPath, '{ not json');
+  let seen;
+
+  planConfigFile(configPath, 'project', config => {
+    seen = config;
+    return { Router: {} };
+  });
+
+  assert.strictEqual(seen, null);
+  assert.strictEqual(dryRunPlan.changes[0].action, 'update');
+});
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Generates cc-switch.db and cc-switch.db-wal, a small cc-switch database for
+ * the sqlite-reader tests, and providers.json, the rows node:sqlite reads from
+ * it, so the reader is checked against SQLite on any Node version. Needs
+ * Node 22.5+ (node:sqlite):
+ *
+ *   node test/fixtures/make-cc-switch-db.js
+ *
+ * 512-byte pages keep the file small while still giving the providers table
+ * interior pages and an overflow chain. The last changes stay in the WAL: the
+ * files are copied while the connection is still open, before SQLite
+ * checkpoints on close.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const settings = (baseUrl, extra = {}) => ({
+  env: {
+    ANTHROPIC_BASE_URL: baseUrl,
+    ANTHROPIC_AUTH_TOKEN: 'sk-test',
+    ANTHROPIC_MODEL: 'model-a'
+  },
+  ...extra
+});
+
+// Written to the database file
+const BASE_ROWS = [
+  ...Array.from({ length: 12 }, (_, i) => {
+    const n = String(i + 1).padStart(2, '0');
+    return { id: `provider-${n}`, appType: 'claude', name: `Provider ${n}`, settings: settings(`https://api${n}.example.com`) };
+  }),
+  // Spans several overflow pages
+  { id: 'big', appType: 'claude', name: 'Big', settings: settings('https://big.example.com', { notes: 'x'.repeat(6000) }) },
+  // Separators the old `sqlite3 -separator '|'` parsing split on
+  {
+    id: 'pipes',
+    appType: 'claude',
+    name: 'Pipe | Provider',
+    settings: settings('https://pipes.example.com', { notes: 'first line\nsecond | line' }),
+    pretty: true
+  },
+  { id: 'codex-1', appType: 'codex', name: 'Codex', settings: { auth: {} } }
+];
+
+// Left in the WAL
+const WAL_CHANGES = {
+  insert: { id: 'wal-only', appType: 'claude', name: 'WAL Only', settings: settings('https://wal.example.com') },
+  update: { id: 'provider-01', settings: settings('https://updated.example.com') },
+  delete: 'provider-02'
+};
+
+function serialize(row) {
+  return JSON.stringify(row.settings, null, row.pretty ? 2 : undefined);
+}
+
+function main() {
+  const { DatabaseSync } = require('node:sqlite');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-switch-fixture-'));
+  const dbPath = path.join(tmpDir, 'cc-switch.db');
+  const db = new DatabaseSync(dbPath);
+
+  db.exec('PRAGMA page_size = 512');
+  db.exec('PRAGMA journal_mode = WAL');
+  db.exec('PRAGMA wal_autocheckpoint = 0');
+  db.exec(`CREATE TABLE providers (
+    id TEXT NOT NULL,
+    app_type TEXT NOT NULL,
+    name TEXT NOT NULL,
+    settings_config TEXT NOT NULL,
+    website_url TEXT,
+    created_at INTEGER,
+    meta TEXT NOT NULL DEFAULT '{}',
+    PRIMARY KEY (id, app_type)
+  )`);
+
+  const insert = db.prepare('INSERT INTO providers (id, app_type, name, settings_config, created_at) VALUES (?, ?, ?, ?, ?)');
+  for (const row of BASE_ROWS) {
+    insert.run(row.id, row.appType, row.name, serialize(row), 1700000000000);
+  }
+  db.exec('PRAGMA wal_checkpoint(TRUNCATE)');
+
+  const { insert: added, update, delete: deleted } = WAL_CHANGES;
+  insert.run(added.id, added.appType, added.name, serialize(added), 1700000000000);
+  db.prepare("UPDATE providers SET settings_config = ? WHERE id = ? AND app_type = 'claude'").run(serialize(update), update.id);
+  db.prepare("DELETE FROM providers WHERE id = ? AND app_type = 'claude'").run(deleted);
+
+  for (const file of ['cc-switch.db', 'cc-switch.db-wal']) {
+    fs.copyFileSync(path.join(tmpDir, file), path.join(__dirname, file));
+  }
+  const rows = db.prepare('SELECT * FROM providers ORDER BY rowid').all();
+  fs.writeFileSync(path.join(__dirname, 'providers.json'), JSON.stringify(rows.map(row => ({ ...row })), null, 2) + '\n');
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+// `node --test` runs every file under test/ as a test; only regenerate when run directly
+if (require.main === module && !process.env.NODE_TEST_CONTEXT) {
+  main();
+}
+
+module.exports = { BASE_ROWS, WAL_CHANGES, serialize };
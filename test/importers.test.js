@@ -0,0 +1,74 @@
+/**
+ * Tests for the parsers behind the dotenv and LiteLLM importers
+ * (parseDotenv, parseSimpleYaml). Run: node --test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'importers-test-'));
+process.env.HOME = home;
+const { parseDotenv, parseSimpleYaml } = require('../skills/ccr-model/ccr-model');
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('parseDotenv reads plain, exported, quoted and commented values', () => {
+  const env = parseDotenv([
+    '# comment',
+    'OPENAI_API_KEY=sk-plain',
+    'export ANTHROPIC_BASE_URL = https://api.example.com  # trailing comment',
+    'DOUBLE="two words # kept"',
+    "SINGLE='no \\n escape'",
+    'MULTI="line1\\nline2"',
+    'EMPTY=',
+    'not a variable',
+    '1BAD=x'
+  ].join('\r\n'));
+
+  assert.deepStrictEqual(env, {
+    OPENAI_API_KEY: 'sk-plain',
+    ANTHROPIC_BASE_URL: 'https://api.example.com',
+    DOUBLE: 'two words # kept',
+    SINGLE: 'no \\n escape',
+    MULTI: 'line1\nline2',
+    EMPTY: ''
+  });
+});
+
+test('parseSimpleYaml reads a LiteLLM config', () => {
+  const doc = parseSimpleYaml(fs.readFileSync(path.join(__dirname, 'fixtures', 'litellm-config.yaml'), 'utf-8'));
+
+  assert.deepStrictEqual(doc.model_list, [
+    { model_name: 'gpt-4o', litellm_params: { model: 'openai/gpt-4o', api_key: 'os.environ/OPENAI_API_KEY' } },
+    { model_name: 'claude', litellm_params: { model: 'anthropic/claude-sonnet-4-20250514', api_key: "sk-ant-'quoted'" } },
+    {
+      model_name: 'local',
+      litellm_params: {
+        model: 'openai/qwen3',
+        api_base: 'http://localhost:8000/v1#not-a-comment',
+        rpm: 60,
+        stream: true,
+        fallback: null
+      }
+    }
+  ]);
+  assert.deepStrictEqual(doc.litellm_settings, { drop_params: true, tags: '[a, b]', weights: [1, 2] });
+  assert.deepStrictEqual(doc.general_settings, { master_key: 'sk-1234' });
+});
+
+test('parseSimpleYaml reads sequences at the same indentation as their key', () => {
+  const doc = parseSimpleYaml('model_list:\n- model_name: a\n  litellm_params:\n    model: x/a\n- plain\n');
+
+  assert.deepStrictEqual(doc, { model_list: [{ model_name: 'a', litellm_params: { model: 'x/a' } }, 'plain'] });
+});
+
+test('parseSimpleYaml rejects what it does not support', () => {
+  assert.throws(() => parseSimpleYaml('a: 1\n  b: 2\n'), /Unsupported YAML near: b: 2/);
+  // Block scalars are not supported
+  assert.throws(() => parseSimpleYaml('key: |\n  text\n'), /Unsupported YAML near: text/);
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for selectModel: a query resolves to one model only when no other
+ * candidate scores within AMBIGUITY_MARGIN of it. HOME points at an empty
+ * temporary directory before ccr-model.js is loaded, so no generated or user
+ * aliases take part. Run: node --test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'model-selection-test-'));
+process.env.HOME = home;
+const { selectModel } = require('../skills/ccr-model/ccr-model');
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function models(...fullNames) {
+  return fullNames.map(fullName => {
+    const [provider, model] = fullName.split('/');
+    return { provider, model, fullName };
+  });
+}
+
+/**
+ * Run fn, which must end in fail(): process.exit throws instead of exiting.
+ * @returns {string} what fail() printed
+ */
+function expectFail(t, fn) {
+  const printed = [];
+  t.mock.method(console, 'error', msg => printed.push(msg));
+  t.mock.method(process, 'exit', code => {
+    throw new Error(`exit ${code}`);
+  });
+  assert.throws(fn, /exit 1/);
+  return printed.join('\n');
+}
+
+test('takes the best match when the runner-up is AMBIGUITY_MARGIN behind', () => {
+  // Exact model name (95) against a generated "<first part><version>" alias (92)
+  const { selected, candidates } = selectModel(models('a/gpt4', 'b/gpt-turbo-4'), 'gpt4', []);
+
+  assert.strictEqual(selected.fullName, 'a/gpt4');
+  assert.deepStrictEqual(candidates.map(m => [m.fullName, m.score]), [['a/gpt4', 95], ['b/gpt-turbo-4', 92]]);
+});
+
+test('refuses to choose between equally good matches', t => {
+  const output = expectFail(t, () => selectModel(models('glm/glm-5', 'zhipu/glm-5', 'glm/glm-5-air'), 'glm-5', []));
+
+  assert.match(output, /matches several models equally well/);
+  assert.match(output, /1\. glm\/glm-5\n {2}2\. zhipu\/glm-5\n/);
+  // Clearly worse candidates are not offered
+  assert.doesNotMatch(output, /glm-5-air/);
+});
+
+test('--first takes the top match of a tie', t => {
+  t.mock.method(console, 'log', () => {});
+
+  const { selected } = selectModel(models('glm/glm-5', 'zhipu/glm-5'), 'glm-5', ['--first']);
+
+  assert.strictEqual(selected.fullName, 'glm/glm-5');
+});
+
+test('fails when nothing matches', t => {
+  const output = expectFail(t, () => selectModel(models('glm/glm-5'), 'qwen', []));
+
+  assert.match(output, /No models found matching: qwen/);
+});
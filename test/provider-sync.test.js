@@ -0,0 +1,166 @@
+/**
+ * Tests for `provider sync` (fetchProviderModels / syncProvider) against a
+ * local mock of the providers' model-listing endpoints. ccr-model.js runs as
+ * a CLI, so each test runs it in a child process with HOME pointing at a
+ * temporary directory and a stub `ccr` on PATH. Run: node --test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const SCRIPT = path.join(__dirname, '..', 'skills', 'ccr-model', 'ccr-model.js');
+
+// Requests the mock server received: { url, headers }
+let requests = [];
+let server;
+let origin;
+const tmpDirs = [];
+
+const OPENAI_MODELS = { object: 'list', data: [{ id: 'gpt-a', object: 'model' }, { id: 'gpt-b', object: 'model' }] };
+const ANTHROPIC_PAGES = {
+  '': { data: [{ id: 'claude-a' }, { id: 'claude-b' }], has_more: true, first_id: 'claude-a', last_id: 'claude-b' },
+  'claude-b': { data: [{ id: 'claude-c' }], has_more: false, first_id: 'claude-c', last_id: 'claude-c' }
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    const url = new URL(req.url, 'http://localhost');
+    let body = null;
+    if (url.pathname === '/openai/v1/models') {
+      body = OPENAI_MODELS;
+    } else if (url.pathname === '/anthropic/v1/models') {
+      body = ANTHROPIC_PAGES[url.searchParams.get('after_id') || ''];
+    }
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { error: 'not found' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  for (const dir of tmpDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * A HOME with a CCR config holding the given providers, a PID file naming a
+ * live process (this one) so the daemon counts as running, and a stub `ccr`.
+ */
+function setupHome(providers) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-sync-test-'));
+  tmpDirs.push(home);
+  const ccrDir = path.join(home, '.claude-code-router');
+  fs.mkdirSync(ccrDir, { recursive: true });
+  fs.writeFileSync(path.join(ccrDir, 'config.json'), JSON.stringify({
+    Providers: providers,
+    Router: { default: `${providers[0].name},${providers[0].models[0]}` }
+  }, null, 2));
+  fs.writeFileSync(path.join(ccrDir, '.claude-code-router.pid'), String(process.pid));
+
+  const bin = path.join(home, 'bin');
+  fs.mkdirSync(bin);
+  fs.writeFileSync(path.join(bin, 'ccr'), '#!/bin/sh\nexit 0\n', { mode: 0o755 });
+  return home;
+}
+
+function readProviders(home) {
+  const config = JSON.parse(fs.readFileSync(path.join(home, '.claude-code-router', 'config.json'), 'utf-8'));
+  return Object.fromEntries(config.Providers.map(p => [p.name, p.models]));
+}
+
+/**
+ * Run ccr-model asynchronously (the mock server lives in this process) with
+ * stdin a pipe, i.e. no terminal. Resolves with the parsed --json document.
+ */
+function runCli(home, args) {
+  const env = { ...process.env, HOME: home, PATH: `${path.join(home, 'bin')}:${process.env.PATH}` };
+  delete env.CLAUDE_CODE_SESSION_ID;
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [SCRIPT, ...args, '--json', '--no-restart'], { cwd: home, env, timeout: 30000 },
+      (error, stdout, stderr) => {
+        try {
+          resolve(JSON.parse(stdout));
+        } catch (e) {
+          reject(new Error(`ccr-model ${args.join(' ')} failed: ${(error && error.message) || stderr}\n${stdout}`));
+        }
+      });
+  });
+}
+
+test('syncs an OpenAI-style data[] listing with --yes', async () => {
+  requests = [];
+  const home = setupHome([{
+    name: 'openai',
+    api_base_url: `${origin}/openai/v1/chat/completions`,
+    api_key: 'sk-openai',
+    models: ['gpt-a', 'gpt-old']
+  }]);
+
+  const doc = await runCli(home, ['provider', 'sync', 'openai', '--yes']);
+
+  assert.strictEqual(doc.ok, true);
+  assert.strictEqual(doc.url, `${origin}/openai/v1/models`);
+  assert.deepStrictEqual(doc.models, ['gpt-a', 'gpt-b']);
+  assert.deepStrictEqual(doc.added, ['gpt-b']);
+  assert.deepStrictEqual(doc.removed, ['gpt-old']);
+  assert.strictEqual(doc.applied, true);
+  assert.deepStrictEqual(readProviders(home).openai, ['gpt-a', 'gpt-b']);
+  assert.strictEqual(requests[0].headers.authorization, 'Bearer sk-openai');
+});
+
+test('follows Anthropic has_more / after_id pagination', async () => {
+  requests = [];
+  const home = setupHome([{
+    name: 'anthropic',
+    api_base_url: `${origin}/anthropic`,
+    api_key: 'sk-ant',
+    models: ['claude-a']
+  }]);
+
+  const doc = await runCli(home, ['provider', 'sync', 'anthropic', '--yes']);
+
+  assert.deepStrictEqual(doc.models, ['claude-a', 'claude-b', 'claude-c']);
+  assert.deepStrictEqual(doc.added, ['claude-b', 'claude-c']);
+  assert.deepStrictEqual(requests.map(r => r.url), ['/anthropic/v1/models', '/anthropic/v1/models?after_id=claude-b']);
+  assert.strictEqual(requests[0].headers['x-api-key'], 'sk-ant');
+  assert.strictEqual(requests[0].headers['anthropic-version'], '2023-06-01');
+  assert.deepStrictEqual(readProviders(home).anthropic, ['claude-a', 'claude-b', 'claude-c']);
+});
+
+test('does not change anything without --yes when there is no terminal', async () => {
+  const home = setupHome([{
+    name: 'openai',
+    api_base_url: `${origin}/openai/v1`,
+    api_key: 'sk-openai',
+    models: ['gpt-old']
+  }]);
+
+  const doc = await runCli(home, ['provider', 'sync', 'openai']);
+
+  assert.deepStrictEqual(doc.added, ['gpt-a', 'gpt-b']);
+  assert.deepStrictEqual(doc.removed, ['gpt-old']);
+  assert.strictEqual(doc.applied, false);
+  assert.deepStrictEqual(readProviders(home).openai, ['gpt-old']);
+});
+
+test('reports FETCH_FAILED when no listing endpoint answers', async () => {
+  const home = setupHome([{
+    name: 'broken',
+    api_base_url: `${origin}/missing`,
+    api_key: 'sk',
+    models: ['m']
+  }]);
+
+  const doc = await runCli(home, ['provider', 'sync', 'broken', '--yes']);
+
+  assert.strictEqual(doc.ok, false);
+  assert.strictEqual(doc.error.code, 'FETCH_FAILED');
+  assert.deepStrictEqual(readProviders(home).broken, ['m']);
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for the fallback SQLite reader, against a small cc-switch database
+ * and the rows node:sqlite read from it (see fixtures/make-cc-switch-db.js).
+ * Run: node --test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { readTable } = require('../skills/ccr-model/sqlite-reader');
+const { BASE_ROWS, WAL_CHANGES, serialize } = require('./fixtures/make-cc-switch-db');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const tmpDirs = [];
+
+after(() => {
+  for (const dir of tmpDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Copy the fixture into a temp directory, optionally without its WAL.
+ * SQLite itself checkpoints and deletes the WAL when it closes the database.
+ */
+function copyFixture(withWal = true) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-reader-test-'));
+  tmpDirs.push(dir);
+  const files = withWal ? ['cc-switch.db', 'cc-switch.db-wal'] : ['cc-switch.db'];
+  for (const file of files) {
+    fs.copyFileSync(path.join(FIXTURES_DIR, file), path.join(dir, file));
+  }
+  return path.join(dir, 'cc-switch.db');
+}
+
+function byId(rows) {
+  return new Map(rows.map(row => [row.id, row]));
+}
+
+test('reads every row of the database file without a WAL', () => {
+  const rows = byId(readTable(copyFixture(false), 'providers'));
+
+  assert.deepStrictEqual([...rows.keys()], BASE_ROWS.map(row => row.id));
+  for (const expected of BASE_ROWS) {
+    const row = rows.get(expected.id);
+    assert.strictEqual(row.app_type, expected.appType);
+    assert.strictEqual(row.name, expected.name);
+    assert.strictEqual(row.settings_config, serialize(expected));
+    assert.strictEqual(row.website_url, null);
+    assert.strictEqual(row.created_at, 1700000000000);
+  }
+});
+
+test('applies committed WAL frames', () => {
+  const rows = byId(readTable(copyFixture(), 'providers'));
+
+  const added = WAL_CHANGES.insert;
+  assert.strictEqual(rows.get(added.id).settings_config, serialize(added));
+  assert.strictEqual(rows.get(WAL_CHANGES.update.id).settings_config, serialize(WAL_CHANGES.update));
+  assert.ok(!rows.has(WAL_CHANGES.delete));
+});
+
+test('reassembles values spanning overflow pages', () => {
+  const row = byId(readTable(copyFixture(), 'providers')).get('big');
+
+  assert.ok(row.settings_config.length > 10 * 512);
+  assert.strictEqual(JSON.parse(row.settings_config).notes, 'x'.repeat(6000));
+});
+
+test('keeps "|" and newlines inside values', () => {
+  const row = byId(readTable(copyFixture(), 'providers')).get('pipes');
+
+  assert.strictEqual(row.name, 'Pipe | Provider');
+  assert.ok(row.settings_config.includes('\n'));
+  assert.strictEqual(JSON.parse(row.settings_config).notes, 'first line\nsecond | line');
+});
+
+test('returns the rows SQLite reads, in rowid order', () => {
+  const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'providers.json'), 'utf-8'));
+
+  assert.deepStrictEqual(readTable(copyFixture(), 'providers'), expected);
+});
+
+test('matches node:sqlite', { skip: !hasNodeSqlite() && 'node:sqlite is not available' }, () => {
+  const dbPath = copyFixture();
+  const expected = readTable(dbPath, 'providers');
+
+  const { DatabaseSync } = require('node:sqlite');
+  const db = new DatabaseSync(dbPath, { readOnly: true });
+  try {
+    const actual = db.prepare('SELECT * FROM providers ORDER BY rowid').all();
+    assert.deepStrictEqual(actual.map(row => ({ ...row })), expected);
+  } finally {
+    db.close();
+  }
+});
+
+test('reports a missing table', () => {
+  assert.throws(() => readTable(copyFixture(), 'nope'), /no such table: nope/);
+});
+
+function hasNodeSqlite() {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
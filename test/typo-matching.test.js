@@ -0,0 +1,53 @@
+/**
+ * Tests for typo-tolerant matching: editDistance and the per-length typo
+ * budget of closestTypo. Run: node --test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'typo-matching-test-'));
+process.env.HOME = home;
+const { editDistance, closestTypo } = require('../skills/ccr-model/ccr-model');
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('editDistance counts insertions, deletions and substitutions', () => {
+  assert.strictEqual(editDistance('glm5', 'glm5'), 0);
+  assert.strictEqual(editDistance('glm', 'glm5'), 1);
+  assert.strictEqual(editDistance('minimax', 'minmax'), 1);
+  assert.strictEqual(editDistance('kimi', 'kimo'), 1);
+  assert.strictEqual(editDistance('', 'abc'), 3);
+  assert.strictEqual(editDistance('kitten', 'sitting'), 3);
+});
+
+test('editDistance counts a transposition of adjacent characters as one edit', () => {
+  assert.strictEqual(editDistance('gml5', 'glm5'), 1);
+  assert.strictEqual(editDistance('mnimiax', 'minimax'), 2);
+});
+
+test('closestTypo allows 1 edit up to 4 characters, 2 up to 8, 3 beyond', () => {
+  assert.deepStrictEqual(closestTypo('gml5', ['glm5']), { target: 'glm5', distance: 1 });
+  assert.strictEqual(closestTypo('gxx5', ['glm5']), null);
+
+  assert.deepStrictEqual(closestTypo('minmx', ['minimax']), { target: 'minimax', distance: 2 });
+  assert.strictEqual(closestTypo('mnmx', ['minimax']), null);
+
+  assert.deepStrictEqual(closestTypo('clauddsonet4', ['claudesonnet4']), { target: 'claudesonnet4', distance: 2 });
+  assert.deepStrictEqual(closestTypo('clausonnnet', ['claudesonnet']), { target: 'claudesonnet', distance: 3 });
+});
+
+test('closestTypo ignores separators in the targets', () => {
+  assert.deepStrictEqual(closestTypo('glm47', ['glm-4.7']), { target: 'glm-4.7', distance: 0 });
+  assert.deepStrictEqual(closestTypo('gml47', ['glm-4.7']), { target: 'glm-4.7', distance: 1 });
+});
+
+test('closestTypo prefers the nearest target and skips short queries', () => {
+  assert.deepStrictEqual(closestTypo('kimk2', ['kimik25', 'kimik2']), { target: 'kimik2', distance: 1 });
+  assert.strictEqual(closestTypo('gl', ['gl5']), null);
+});